@@ -1,130 +1,355 @@
-import { Ok as $Ok, Error as $Error } from "../prelude.mjs";
+import { Ok as $Ok, Error as $Error, toList } from "../prelude.mjs";
 
 ////////// engine //////////
 
-let images = [];
-let sounds = {};
-let lastTime = 0;
-let deltaTime;
+// the settings for the engines that are started afterwards
+let fixedStep; // in ms, undefined when using a variable timestep
+let maxSteps = 1;
+let dataSources = [];
 
-function startEngine(init, update, view, imageSources, soundSources) {
+export function setFixedTimestep(ticksPerSecond, _maxSteps) {
+  fixedStep = 1000 / ticksPerSecond;
+  maxSteps = _maxSteps;
+}
+
+export function setDataSources(_dataSources) {
+  dataSources = _dataSources.toArray();
+}
+
+// see the `asset` module
+let manifest = [];
+let loadingView;
+let errorView;
+
+export function setManifest(_manifest) {
+  manifest = _manifest.toArray();
+}
+
+export function setLoadingScreen(view) {
+  loadingView = view;
+}
+
+export function setErrorScreen(view) {
+  errorView = view;
+}
+
+// all the state of an engine, so that several of them can run on one page;
+// the functions called by a game use the current engine, which is switched to
+// before its init, update and view functions run
+function createEngine(canvas) {
+  return {
+    canvas,
+    isHeadless: false,
+    // started with `start_window`, which resizes the canvas to fit the window
+    // while showing the world of the given size
+    isWindow: false,
+    canvasWidth: 0,
+    canvasHeight: 0,
+    canvasScale: 1,
+    images: [],
+    sounds: [],
+    soundTypes: [],
+    dataFiles: [],
+    namedAssets: new Map(),
+    lastTime: 0,
+    deltaTime: 1000 / 60,
+    // fixed timestep, see `canvas.set_fixed_timestep`
+    fixedStep,
+    maxSteps,
+    accumulator: 0,
+    alpha: 1,
+    keyInput: {},
+    mouseInput: {},
+    mousePosition: { x: 0, y: 0 },
+    touchInput: new Map(),
+    primaryTouchId: null,
+    gamepadInput: [],
+    gamepadDeadZone: 0.15,
+    layerCaches: new Map(),
+    // sound buses, see the sound section
+    busVolumes: [1, 1, 1],
+    busMuted: [false, false, false],
+    busNodes: null,
+    recording: null,
+    replay: null,
+    randomState: Math.floor(Math.random() * 2 ** 32),
+    // the pending animation frame, and the functions that undo the changes
+    // made to the page, such as event listeners, which run when stopping
+    frameId: 0,
+    cleanups: [],
+    isStopped: false,
+  };
+}
+
+// the engine used before any is started, such as in tests
+let engine = createEngine(null);
+// the engines running on the page
+const engines = new Set();
+
+function startEngine(instance, init, update, view, imageSources, soundSources) {
   // run on every frame
   function gameLoop(timestamp, model) {
-    const _deltaTime = timestamp - lastTime;
+    engine = instance;
+    const deltaTime = timestamp - instance.lastTime;
     // caps fps at 60
-    if (_deltaTime > 16.6) {
-      deltaTime = _deltaTime;
+    if (deltaTime > 16.6) {
+      instance.deltaTime = deltaTime;
       view(model);
+      flushDrawList();
+      pollInput();
       const updatedModel = update(model);
-      lastTime = timestamp;
+      instance.lastTime = timestamp;
       clearInput();
-      requestAnimationFrame((t) => gameLoop(t, updatedModel));
+      requestFrame(instance, (t) => gameLoop(t, updatedModel));
     } else {
-      requestAnimationFrame((t) => gameLoop(t, model));
+      requestFrame(instance, (t) => gameLoop(t, model));
     }
   }
 
+  // run on every frame when using a fixed timestep, with view running once
+  // after the updates
+  function fixedGameLoop(timestamp, model) {
+    engine = instance;
+    model = runFixedSteps(instance, timestamp, model, update);
+    view(model);
+    flushDrawList();
+    requestFrame(instance, (t) => fixedGameLoop(t, model));
+  }
+
+  engine = instance;
+  engines.add(instance);
+
   // Setting up canvas
-  const canvas = document.getElementById(canvasId);
+  const canvas = instance.canvas;
   canvas.getContext("2d").imageSmoothingEnabled = false; // prevent blurry textures
   canvas.style.display = "block";
+  // lets the canvas take the focus when clicked, see hasFocus
+  if (!canvas.hasAttribute("tabindex")) {
+    canvas.tabIndex = 0;
+  }
 
   // Initialising input, images, and sounds
-  initKeyInput();
-  initMouseInput();
-
-  // Loading images
-  const imagePromises = imageSources.toArray().map(
-    (src, imgId) =>
-      new Promise((resolve) => {
-        const image = new Image();
-        image.onload = () => {
-          images[imgId] = image;
-          resolve();
-        };
-        image.onerror = () => {
-          console.error(`Failed to load image ${imgId}`);
-        };
-        image.src = src;
-      })
-  );
+  initKeyInput(instance);
+  initMouseInput(instance);
+  initTouchInput(instance);
+  initAudio();
+
+  // Loading images, sounds, data files and the assets in the manifest, as a
+  // list of [src, promise] pairs where the promise resolves to whether the
+  // file could be loaded
+  const loads = [
+    ...imageSources
+      .toArray()
+      .map((src) => [
+        src,
+        loadImage(instance, src, reserveSlot(instance.images)),
+      ]),
+    ...soundSources
+      .toArray()
+      .map((src) => [
+        src,
+        loadSound(instance, src, reserveSlot(instance.sounds)),
+      ]),
+    ...dataSources.map((src) => [
+      src,
+      loadData(instance, src, reserveSlot(instance.dataFiles)),
+    ]),
+    ...manifest.map(([kind, name, src]) => [
+      src,
+      loadNamedAsset(instance, kind, name, src),
+    ]),
+  ];
 
-  // Loading sounds
-  const soundPromises = soundSources.toArray().map(async (source, index) => {
-    if (source.endsWith(".js")) {
-      try {
-        await renderZzFXMSong(source, index);
-      } catch (_error) {
-        await renderZzFXSound(source, index);
+  // Showing the loading screen until everything has loaded
+  const showLoading = loadingView;
+  let loadedCount = 0;
+  let isLoading = true;
+  function loadingLoop() {
+    if (isLoading) {
+      if (showLoading) {
+        engine = instance;
+        getContext();
+        showLoading(loads.length ? loadedCount / loads.length : 1);
+        flushDrawList();
       }
-    } else {
-      await renderFileSound(source, index);
+      requestFrame(instance, loadingLoop);
     }
-  });
+  }
+  loadingLoop();
 
   // Starting engine
-  Promise.all([Promise.all(imagePromises), Promise.all(soundPromises)])
-    .then(() => {
+  const showError = errorView;
+  Promise.all(
+    loads.map(([src, promise]) =>
+      promise.then((isLoaded) => {
+        loadedCount += 1;
+        return isLoaded ? null : src;
+      })
+    )
+  )
+    .then((results) => {
+      isLoading = false;
+      if (instance.isStopped) {
+        return;
+      }
+      engine = instance;
+      const failed = results.filter((src) => src !== null);
+      if (failed.length > 0) {
+        console.error(`Failed to load ${failed.join(", ")}`);
+        showLoadingError(failed, showError);
+        return;
+      }
       const initialModel = init();
-      requestAnimationFrame((t) => gameLoop(t, initialModel));
+      requestFrame(instance, (t) => {
+        instance.lastTime = t;
+        if (instance.fixedStep) {
+          instance.deltaTime = instance.fixedStep;
+          instance.accumulator = 0;
+          fixedGameLoop(t, initialModel);
+        } else {
+          gameLoop(t, initialModel);
+        }
+      });
     })
     .catch((error) => {
       console.error("Failed to start engine:", error);
     });
 }
 
+// update runs as many times as needed to catch up with real time (but at most
+// maxSteps times), and the leftover fraction of a step is stored in alpha
+function runFixedSteps(instance, timestamp, model, update) {
+  const { fixedStep, maxSteps } = instance;
+  instance.accumulator += timestamp - instance.lastTime;
+  instance.lastTime = timestamp;
+  let steps = 0;
+  while (instance.accumulator >= fixedStep && steps < maxSteps) {
+    pollInput();
+    model = update(model);
+    clearInput();
+    instance.accumulator -= fixedStep;
+    steps++;
+  }
+  // drop the time that could not be caught up with, eg after a tab stall
+  if (instance.accumulator >= fixedStep) {
+    instance.accumulator %= fixedStep;
+  }
+  instance.alpha = instance.accumulator / fixedStep;
+  return model;
+}
+
+// requests an animation frame, which does not run once the engine is stopped
+function requestFrame(instance, callback) {
+  if (instance.isStopped) {
+    return;
+  }
+  instance.frameId = requestAnimationFrame((t) => {
+    if (!instance.isStopped) {
+      callback(t);
+    }
+  });
+}
+
+// adds an event listener, which is removed when the engine is stopped
+function listen(instance, target, type, listener) {
+  target.addEventListener(type, listener);
+  instance.cleanups.push(() => target.removeEventListener(type, listener));
+}
+
+export function stopEngine(instance) {
+  if (instance.isStopped) {
+    return;
+  }
+  instance.isStopped = true;
+  cancelAnimationFrame(instance.frameId);
+  stopChannelsOf(instance);
+  instance.cleanups.forEach((cleanup) => cleanup());
+  instance.cleanups = [];
+  engines.delete(instance);
+}
+
+// with no error screen, list the files that failed in plain text
+function showLoadingError(failed, showError) {
+  if (showError) {
+    getContext();
+    showError(toList(failed));
+    flushDrawList();
+    return;
+  }
+  const canvas = getCanvas();
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "white";
+  ctx.font = "16px monospace";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ["Failed to load:", ...failed].forEach((line, i) => {
+    ctx.fillText(line, 16, 16 + i * 24);
+  });
+}
+
 export function getDeltaTime() {
-  return (deltaTime * 60) / 1000;
+  // relative to the length of a frame at 60 fps
+  return engine.deltaTime / (1000 / 60);
 }
 
-////////// canvas //////////
+export function getAlpha() {
+  return engine.alpha;
+}
 
-let canvasId;
-let canvasWidth;
-let canvasHeight;
-let canvasScale;
+////////// canvas //////////
 
 export function startWindow(
   init,
   update,
   view,
-  _canvasId,
-  _canvasWidth,
-  _canvasHeight,
+  canvasId,
+  canvasWidth,
+  canvasHeight,
   imageSources,
   soundSources
 ) {
-  document.body.style.margin = "0";
-  document.body.style.padding = "0";
-  document.body.style.overflow = "hidden";
-
-  document.documentElement.style.margin = "0";
-  document.documentElement.style.padding = "0";
-  document.documentElement.style.overflow = "hidden";
-
-  document.getElementById(_canvasId).style.position = "absolute";
+  const instance = createEngine(document.getElementById(canvasId));
+  instance.isWindow = true;
+  instance.canvasWidth = canvasWidth;
+  instance.canvasHeight = canvasHeight;
+
+  // the page only shows the canvas, until the engine is stopped
+  for (const style of [document.body.style, document.documentElement.style]) {
+    const { margin, padding, overflow, backgroundColor } = style;
+    instance.cleanups.push(() =>
+      Object.assign(style, { margin, padding, overflow, backgroundColor })
+    );
+    Object.assign(style, { margin: "0", padding: "0", overflow: "hidden" });
+  }
+  const canvasStyle = instance.canvas.style;
+  const { position, top, left } = canvasStyle;
+  instance.cleanups.push(() =>
+    Object.assign(canvasStyle, { position, top, left })
+  );
+  canvasStyle.position = "absolute";
 
-  canvasId = _canvasId;
-  canvasWidth = _canvasWidth;
-  canvasHeight = _canvasHeight;
-  resizeCanvas();
-  window.addEventListener("resize", () => resizeCanvas());
+  resizeCanvas(instance);
+  listen(instance, window, "resize", () => resizeCanvas(instance));
 
-  startEngine(init, update, view, imageSources, soundSources);
+  startEngine(instance, init, update, view, imageSources, soundSources);
+  return instance;
 }
 
-function resizeCanvas() {
-  const canvas = document.getElementById(canvasId);
+function resizeCanvas(instance) {
+  const { canvas, canvasWidth, canvasHeight } = instance;
   if (canvasWidth / canvasHeight >= window.innerWidth / window.innerHeight) {
     canvas.width = window.innerWidth;
-    canvasScale = window.innerWidth / canvasWidth;
-    canvas.height = canvasHeight * canvasScale;
+    instance.canvasScale = window.innerWidth / canvasWidth;
+    canvas.height = canvasHeight * instance.canvasScale;
     canvas.style.top = `${(window.innerHeight - canvas.height) / 2}px`;
     canvas.style.left = `0px`;
   } else {
     canvas.height = window.innerHeight;
-    canvasScale = window.innerHeight / canvasHeight;
-    canvas.width = canvasWidth * canvasScale;
+    instance.canvasScale = window.innerHeight / canvasHeight;
+    canvas.width = canvasWidth * instance.canvasScale;
     canvas.style.top = `0px`;
     canvas.style.left = `${(window.innerWidth - canvas.width) / 2}px`;
   }
@@ -135,24 +360,62 @@ export function startEmbedded(
   init,
   update,
   view,
-  _canvasId,
-  _canvasWidth,
-  _canvasHeight,
+  canvasId,
+  canvasWidth,
+  canvasHeight,
   imageSources,
   soundSources
 ) {
-  canvasId = _canvasId;
   const canvas = document.getElementById(canvasId);
-  if (_canvasWidth / _canvasHeight >= canvas.width / canvas.height) {
-    canvasScale = canvas.width / _canvasWidth;
+  const instance = createEngine(canvas);
+  if (canvasWidth / canvasHeight >= canvas.width / canvas.height) {
+    instance.canvasScale = canvas.width / canvasWidth;
   } else {
-    canvasScale = canvas.height / _canvasHeight;
+    instance.canvasScale = canvas.height / canvasHeight;
+  }
+  startEngine(instance, init, update, view, imageSources, soundSources);
+  return instance;
+}
+
+// the canvas that the engine draws to, or its stand-in when running headless
+function getCanvas() {
+  return engine.canvas;
+}
+
+// key presses only go to the engine whose canvas has the focus, which it gets
+// when clicked; the canvas of `start_window` also gets them when no other
+// engine's canvas has the focus, and a headless engine always has it
+function hasFocus(instance) {
+  if (instance.isHeadless) {
+    return true;
+  }
+  const active = document.activeElement;
+  if (active === instance.canvas) {
+    return true;
+  }
+  return instance.isWindow && !isEngineCanvas(active);
+}
+
+// mouse and touch events go to the engine whose canvas they happen on; the
+// canvas of `start_window` also gets the ones on the rest of the page
+function isPointerTarget(instance, event) {
+  if (event.target === instance.canvas) {
+    return true;
+  }
+  return instance.isWindow && !isEngineCanvas(event.target);
+}
+
+function isEngineCanvas(element) {
+  for (const other of engines) {
+    if (other.canvas === element) {
+      return true;
+    }
   }
-  startEngine(init, update, view, imageSources, soundSources);
+  return false;
 }
 
 export function toggleFullscreen(toggle) {
-  const canvas = document.getElementById(canvasId);
+  const canvas = getCanvas();
   if (toggle) {
     if (canvas.requestFullscreen) {
       canvas.requestFullscreen();
@@ -174,298 +437,2100 @@ export function toggleFullscreen(toggle) {
 
 ////////// key //////////
 
-let keyInput = {};
-
-function initKeyInput() {
-  window.addEventListener("keydown", (event) => {
-    keyInput[event.code] = 0b011;
+function initKeyInput(instance) {
+  listen(instance, window, "keydown", (event) => {
+    if (instance.replay || !hasFocus(instance)) return;
+    instance.keyInput[event.code] = 0b011;
   });
 
-  window.addEventListener("keyup", (event) => {
-    keyInput[event.code] = 0b100;
+  // keys that are down are released even without the focus, so that they do
+  // not get stuck
+  listen(instance, window, "keyup", (event) => {
+    const isDown = !!(instance.keyInput[event.code] & 1);
+    if (instance.replay || !(isDown || hasFocus(instance))) return;
+    instance.keyInput[event.code] = 0b100;
   });
 }
 
 export function keyIsDown(key) {
-  return !!(keyInput[key] & 1);
+  return !!(engine.keyInput[key] & 1);
 }
 
 export function keyWasPressed(key) {
-  return !!(keyInput[key] & 2);
+  return !!(engine.keyInput[key] & 2);
 }
 
 export function keyWasReleased(key) {
-  return !!(keyInput[key] & 4);
+  return !!(engine.keyInput[key] & 4);
 }
 
 export function anyKeyIsDown() {
-  for (const key in keyInput) {
-    if (!!(keyInput[key] & 1)) {
-      return true;
-    }
-  }
-  return false;
+  return anyInputHas(engine.keyInput, 1);
 }
 
 export function anyKeyWasPressed() {
-  for (const key in keyInput) {
-    if (!!(keyInput[key] & 2)) {
-      return true;
-    }
-  }
-  return false;
+  return anyInputHas(engine.keyInput, 2);
 }
 
 export function anyKeyWasReleased() {
-  for (const key in keyInput) {
-    if (!!(keyInput[key] & 4)) {
+  return anyInputHas(engine.keyInput, 4);
+}
+
+function anyInputHas(input, bit) {
+  for (const key in input) {
+    if (!!(input[key] & bit)) {
       return true;
     }
   }
   return false;
 }
 
-////////// mouse //////////
-
-let mouseInput = {};
-let mousePosition = { x: 0, y: 0 };
-
-function initMouseInput() {
-  window.addEventListener("mousedown", (event) => {
-    mouseInput[event.button] = 0b011;
-    mousePosition.x = event.clientX;
-    mousePosition.y = event.clientY;
-  });
-
-  window.addEventListener("touchstart", (event) => {
-    mouseInput[0] = 0b011;
-    mousePosition.x = event.touches[0].clientX;
-    mousePosition.y = event.touches[0].clientY;
-  });
+export function getPressedKeys() {
+  const keyInput = engine.keyInput;
+  return toList(Object.keys(keyInput).filter((key) => keyInput[key] & 2));
+}
 
-  window.addEventListener("mouseup", (event) => {
-    mouseInput[event.button] = 0b100;
-  });
+////////// mouse //////////
 
-  window.addEventListener("touchend", (event) => {
-    mouseInput[0] = 0b100;
+function initMouseInput(instance) {
+  listen(instance, window, "mousedown", (event) => {
+    if (instance.replay || !isPointerTarget(instance, event)) return;
+    instance.mouseInput[event.button] = 0b011;
+    instance.mousePosition.x = event.clientX;
+    instance.mousePosition.y = event.clientY;
   });
 
-  window.addEventListener("mousemove", (event) => {
-    mousePosition.x = event.clientX;
-    mousePosition.y = event.clientY;
+  // like keys, buttons that are down are released anywhere on the page
+  listen(instance, window, "mouseup", (event) => {
+    const isDown = !!(instance.mouseInput[event.button] & 1);
+    if (instance.replay || !(isDown || isPointerTarget(instance, event))) {
+      return;
+    }
+    instance.mouseInput[event.button] = 0b100;
   });
 
-  window.addEventListener("touchmove", function (event) {
-    mousePosition.x = event.touches[0].clientX;
-    mousePosition.y = event.touches[0].clientY;
+  // the mouse is followed outside of the canvas while dragging
+  listen(instance, window, "mousemove", (event) => {
+    const isDragging = anyInputHas(instance.mouseInput, 1);
+    if (instance.replay || !(isDragging || isPointerTarget(instance, event))) {
+      return;
+    }
+    instance.mousePosition.x = event.clientX;
+    instance.mousePosition.y = event.clientY;
   });
 }
 
 export function mouseIsDown(button) {
-  return !!(mouseInput[button] & 1);
+  return !!(engine.mouseInput[button] & 1);
 }
 
 export function mouseWasPressed(button) {
-  return !!(mouseInput[button] & 2);
+  return !!(engine.mouseInput[button] & 2);
 }
 
 export function mouseWasReleased(button) {
-  return !!(mouseInput[button] & 4);
+  return !!(engine.mouseInput[button] & 4);
 }
 
 export function getMousePosition() {
-  const canvas = document.getElementById(canvasId);
+  return clientToWorld(engine.mousePosition.x, engine.mousePosition.y);
+}
+
+// converts a position on the page, as found in mouse and touch events,
+// to world coordinates
+function clientToWorld(clientX, clientY) {
+  const canvas = getCanvas();
   const boundingRect = canvas.getBoundingClientRect();
   const cornerX = boundingRect.left;
   const cornerY = boundingRect.top;
   // inverse transform
   const iT = canvas.getContext("2d").getTransform().invertSelf();
   // adjust for the canvas position for non-fullscreen canvases
-  const x = mousePosition.x - cornerX;
-  const y = mousePosition.y - cornerY;
+  const x = clientX - cornerX;
+  const y = clientY - cornerY;
   return [iT.a * x + iT.c * y + iT.e, iT.b * x + iT.d * y + iT.f];
 }
 
+////////// touch //////////
+
+// every engine keeps its active touches by identifier in touchInput, each
+// with the same bitflags as keys and mouse buttons, and positions on the page
+// (not yet converted to the world), and the touch that is also reported as
+// the left mouse button in primaryTouchId
+function initTouchInput(instance) {
+  const { touchInput } = instance;
+
+  // touches that start elsewhere are ignored, and so are their moves and ends
+  listen(instance, window, "touchstart", (event) => {
+    if (!isPointerTarget(instance, event)) return;
+    for (const touch of event.changedTouches) {
+      const { identifier, clientX, clientY } = touch;
+      startTouch(instance, identifier, clientX, clientY, event.timeStamp);
+    }
+  });
+
+  listen(instance, window, "touchmove", (event) => {
+    for (const touch of event.changedTouches) {
+      moveTouch(instance, touch.identifier, touch.clientX, touch.clientY);
+    }
+  });
+
+  // cancelling the end of a touch that started on the canvas keeps the
+  // browser from following a tap with mouse events, which would press the
+  // left mouse button a second time
+  const endTouches = (event) => {
+    for (const touch of event.changedTouches) {
+      if (touchInput.has(touch.identifier) && event.cancelable) {
+        event.preventDefault();
+      }
+      moveTouch(instance, touch.identifier, touch.clientX, touch.clientY);
+      endTouch(instance, touch.identifier);
+    }
+  };
+  listen(instance, window, "touchend", endTouches);
+  listen(instance, window, "touchcancel", endTouches);
+}
+
+// also used by the headless backend, which passes the time of its own clock
+
+function startTouch(instance, id, x, y, time) {
+  instance.touchInput.set(id, {
+    bits: 0b011,
+    x,
+    y,
+    prevX: x,
+    prevY: y,
+    startX: x,
+    startY: y,
+    startTime: time,
+    duration: 0,
+  });
+  if (instance.primaryTouchId === null && !instance.replay) {
+    instance.primaryTouchId = id;
+    instance.mouseInput[0] = 0b011;
+    instance.mousePosition.x = x;
+    instance.mousePosition.y = y;
+  }
+}
+
+function moveTouch(instance, id, x, y) {
+  const state = instance.touchInput.get(id);
+  if (state) {
+    state.x = x;
+    state.y = y;
+  }
+  if (id === instance.primaryTouchId) {
+    instance.mousePosition.x = x;
+    instance.mousePosition.y = y;
+  }
+}
+
+function endTouch(instance, id) {
+  const state = instance.touchInput.get(id);
+  if (state) {
+    // keep the pressed bit for touches that start and end in the same frame
+    state.bits = (state.bits & 0b010) | 0b100;
+  }
+  if (id === instance.primaryTouchId) {
+    instance.primaryTouchId = null;
+    instance.mouseInput[0] = 0b100;
+  }
+}
+
+function pollTouches() {
+  const now = engine.isHeadless ? engine.headlessTime : performance.now();
+  for (const state of engine.touchInput.values()) {
+    state.duration = (now - state.startTime) / 1000;
+  }
+}
+
+function clearTouches() {
+  const touchInput = engine.touchInput;
+  for (const [id, state] of touchInput) {
+    if (state.bits & 0b100) {
+      touchInput.delete(id);
+    } else {
+      state.bits &= 0b001;
+      state.prevX = state.x;
+      state.prevY = state.y;
+    }
+  }
+}
+
+// returns [id, pos, prevPos, startPos, started, ended, duration]
+function touchToTuple(id, state) {
+  return [
+    id,
+    clientToWorld(state.x, state.y),
+    clientToWorld(state.prevX, state.prevY),
+    clientToWorld(state.startX, state.startY),
+    !!(state.bits & 0b010),
+    !!(state.bits & 0b100),
+    state.duration,
+  ];
+}
+
+export function getTouches() {
+  return toList(
+    Array.from(engine.touchInput, ([id, state]) => touchToTuple(id, state))
+  );
+}
+
+export function getTouch(id) {
+  const state = engine.touchInput.get(id);
+  return state ? new $Ok(touchToTuple(id, state)) : new $Error(undefined);
+}
+
+export function getTouchCount() {
+  return engine.touchInput.size;
+}
+
+////////// gamepad //////////
+
+// every engine keeps one entry per gamepad index in gamepadInput, with the
+// same bitflags as keys and mouse buttons for the connection and every button,
+// plus the raw button values and axes
+
+// read the state of all gamepads, once per update; like keys, gamepads only
+// control the engine that has the focus, and are seen as idle by the others
+function pollGamepads() {
+  const gamepadInput = engine.gamepadInput;
+  const pads =
+    globalThis.navigator && navigator.getGamepads
+      ? Array.from(navigator.getGamepads())
+      : [];
+  const isFocused = pads.length > 0 && hasFocus(engine);
+  const count = Math.max(pads.length, gamepadInput.length);
+  for (let i = 0; i < count; i++) {
+    const pad = pads[i];
+    const isConnected = !!(pad && pad.connected);
+    const isActive = isConnected && isFocused;
+    const state = (gamepadInput[i] ??= {
+      connected: 0,
+      buttons: [],
+      values: [],
+      axes: [],
+    });
+    state.connected = nextInputBits(state.connected, isConnected);
+    for (let b = 0; b < 17; b++) {
+      const button = isActive ? pad.buttons[b] : undefined;
+      state.buttons[b] = nextInputBits(state.buttons[b], !!button?.pressed);
+      state.values[b] = button ? button.value : 0;
+    }
+    state.axes = isActive ? Array.from(pad.axes) : [];
+  }
+}
+
+// 0b001 = down, 0b010 = pressed this frame, 0b100 = released this frame
+function nextInputBits(bits, isDown) {
+  const wasDown = !!(bits & 1);
+  if (isDown) {
+    return wasDown ? 0b001 : 0b011;
+  } else {
+    return wasDown ? 0b100 : 0b000;
+  }
+}
+
+export function setGamepadDeadZone(deadZone) {
+  engine.gamepadDeadZone = deadZone;
+}
+
+export function gamepadIsConnected(pad) {
+  return !!(engine.gamepadInput[pad]?.connected & 1);
+}
+
+export function gamepadWasConnected(pad) {
+  return !!(engine.gamepadInput[pad]?.connected & 2);
+}
+
+export function gamepadWasDisconnected(pad) {
+  return !!(engine.gamepadInput[pad]?.connected & 4);
+}
+
+export function getConnectedGamepads() {
+  const indices = [];
+  engine.gamepadInput.forEach((state, i) => {
+    if (state.connected & 1) {
+      indices.push(i);
+    }
+  });
+  return toList(indices);
+}
+
+export function gamepadIsDown(pad, button) {
+  return !!(engine.gamepadInput[pad]?.buttons[button] & 1);
+}
+
+export function gamepadWasPressed(pad, button) {
+  return !!(engine.gamepadInput[pad]?.buttons[button] & 2);
+}
+
+export function gamepadWasReleased(pad, button) {
+  return !!(engine.gamepadInput[pad]?.buttons[button] & 4);
+}
+
+export function gamepadButtonValue(pad, button) {
+  return engine.gamepadInput[pad]?.values[button] ?? 0;
+}
+
+// raw axis value, with the y-axes flipped to point up like world coordinates
+function getRawAxis(pad, axis) {
+  const value = engine.gamepadInput[pad]?.axes[axis] ?? 0;
+  return axis % 2 === 1 ? -value : value;
+}
+
+export function gamepadAxis(pad, axis) {
+  const deadZone = engine.gamepadDeadZone;
+  const value = getRawAxis(pad, axis);
+  if (Math.abs(value) < deadZone) {
+    return 0;
+  }
+  const scaled = (Math.abs(value) - deadZone) / (1 - deadZone);
+  return Math.sign(value) * Math.min(scaled, 1);
+}
+
+export function gamepadStick(pad, stick) {
+  const deadZone = engine.gamepadDeadZone;
+  const x = getRawAxis(pad, 2 * stick);
+  const y = getRawAxis(pad, 2 * stick + 1);
+  const length = Math.hypot(x, y);
+  if (length < deadZone) {
+    return [0, 0];
+  }
+  // radial dead zone, rescaled so that the output still covers the full range
+  const scaled = Math.min((length - deadZone) / (1 - deadZone), 1);
+  return [(x / length) * scaled, (y / length) * scaled];
+}
+
 ////////// draw //////////
 
 export function getContext() {
-  const canvas = document.getElementById(canvasId);
+  const canvas = getCanvas();
   const ctx = canvas.getContext("2d");
   ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   ctx.setTransform(1, 0, 0, -1, canvas.width / 2, canvas.height / 2);
-  ctx.scale(canvasScale, canvasScale);
+  ctx.scale(engine.canvasScale, engine.canvasScale);
+  drawList = [];
+  drawLayer = 0;
+  drawDepth = 0;
+  drawClip = undefined;
+  isScreenLayer = false;
+  drawGroup = 0;
+  drawOpacity = 1;
+  drawOffset = [0, 0];
+  screenTransform = ctx.getTransform();
+  return ctx;
+}
+
+// the draw calls of the current frame, which are sorted by layer and depth
+// and drawn at the end of the view function
+let drawList = [];
+let drawLayer = 0;
+let drawDepth = 0;
+// the viewport of the current camera as [x, y, width, height] in pixels
+let drawClip;
+let isScreenLayer = false;
+// groups of draw calls, such as the scenes of the `scene` module, are drawn
+// one above the other whatever their layers, each with its own opacity and
+// offset in pixels
+let drawGroup = 0;
+let drawOpacity = 1;
+let drawOffset = [0, 0];
+// the transform at the start of the view function, used by screen layers
+let screenTransform;
+// set while the draw list is being drawn or a layer is being cached, when the
+// draw functions draw right away instead of adding to the list
+let isDrawingImmediately = false;
+
+// adds a call of one of the draw functions to the list, with the transform at
+// the time of the call; returns false if it should be drawn right away instead
+function deferDraw(ctx, draw, args) {
+  if (isDrawingImmediately) {
+    return false;
+  }
+  drawList.push({
+    group: drawGroup,
+    opacity: drawOpacity,
+    offset: drawOffset,
+    layer: drawLayer,
+    depth: drawDepth,
+    order: drawList.length,
+    transform: isScreenLayer ? screenTransform : ctx.getTransform(),
+    clip: isScreenLayer ? undefined : drawClip,
+    draw,
+    args: Array.from(args),
+  });
+  return true;
+}
+
+// run right after every view
+function flushDrawList() {
+  const ctx = getCanvas().getContext("2d");
+  const cameraTransform = ctx.getTransform();
+  drawList.sort(
+    (a, b) =>
+      a.group - b.group ||
+      a.layer - b.layer ||
+      b.depth - a.depth ||
+      a.order - b.order
+  );
+  isDrawingImmediately = true;
+  try {
+    for (const call of drawList) {
+      const { transform: t, clip, draw, args } = call;
+      const [dx, dy] = call.offset;
+      if (clip) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.beginPath();
+        ctx.rect(clip[0] + dx, clip[1] + dy, clip[2], clip[3]);
+        ctx.clip();
+      }
+      ctx.setTransform(t.a, t.b, t.c, t.d, t.e + dx, t.f + dy);
+      ctx.globalAlpha = call.opacity;
+      draw(...args);
+      if (clip) {
+        ctx.restore();
+      }
+    }
+  } finally {
+    isDrawingImmediately = false;
+    drawList = [];
+    pruneLayerCaches();
+    ctx.globalAlpha = 1;
+    // converting between screen and world coordinates uses the transform of
+    // the camera
+    const t = cameraTransform;
+    ctx.setTransform(t.a, t.b, t.c, t.d, t.e, t.f);
+  }
+}
+
+export function setLayer(ctx, layer) {
+  drawLayer = layer;
+  isScreenLayer = false;
+  return ctx;
+}
+
+export function setScreenLayer(ctx, layer) {
+  drawLayer = layer;
+  isScreenLayer = true;
+  return ctx;
+}
+
+export function setDepth(ctx, depth) {
+  drawDepth = depth;
+  return ctx;
+}
+
+// starts a new group of draw calls as if a new view function had started,
+// with the offset given as a fraction of the canvas size, y pointing up
+export function beginGroup(ctx, group, opacity, offsetX, offsetY) {
+  const canvas = getCanvas();
+  drawGroup = group;
+  drawOpacity = opacity;
+  drawOffset = [offsetX * canvas.width, -offsetY * canvas.height];
+  drawLayer = 0;
+  drawDepth = 0;
+  drawClip = undefined;
+  isScreenLayer = false;
+  const t = screenTransform;
+  ctx.setTransform(t.a, t.b, t.c, t.d, t.e, t.f);
+  return ctx;
+}
+
+export function drawCachedLayer(
+  ctx,
+  layer,
+  version,
+  x,
+  y,
+  width,
+  height,
+  draw
+) {
+  const previousLayer = drawLayer;
+  const wasScreenLayer = isScreenLayer;
+  drawLayer = layer;
+  isScreenLayer = false;
+  if (engine.isHeadless) {
+    // the headless backend draws the layer every frame, to record the calls
+    draw(ctx);
+  } else {
+    // the offscreen canvases of the cached layers, by layer and version
+    const layerCaches = engine.layerCaches;
+    const key = `${layer}/${version}`;
+    let cache = layerCaches.get(key);
+    if (
+      !cache ||
+      cache.scale !== engine.canvasScale ||
+      cache.x !== x ||
+      cache.y !== y ||
+      cache.width !== width ||
+      cache.height !== height
+    ) {
+      cache = { version, scale: engine.canvasScale, x, y, width, height };
+      cache.canvas = renderLayerCache(cache, draw);
+      layerCaches.set(key, cache);
+    }
+    cache.isUsed = true;
+    drawLayerCache(ctx, cache);
+  }
+  drawLayer = previousLayer;
+  isScreenLayer = wasScreenLayer;
+  return ctx;
+}
+
+function renderLayerCache({ scale, x, y, width, height }, draw) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  // world coordinates with the top-left corner of the cached area at (0, 0)
+  const left = x - width / 2;
+  const top = y + height / 2;
+  ctx.setTransform(scale, 0, 0, -scale, -left * scale, top * scale);
+  // a layer may also be cached while drawing to a render target
+  const wasDrawingImmediately = isDrawingImmediately;
+  isDrawingImmediately = true;
+  try {
+    draw(ctx);
+  } finally {
+    isDrawingImmediately = wasDrawingImmediately;
+  }
+  return canvas;
+}
+
+// forgets the cached layers that were not drawn in the last frame, such as
+// the ones of old versions
+function pruneLayerCaches() {
+  for (const [key, cache] of engine.layerCaches) {
+    if (cache.isUsed) {
+      cache.isUsed = false;
+    } else {
+      engine.layerCaches.delete(key);
+    }
+  }
+}
+
+function drawLayerCache(ctx, cache) {
+  if (deferDraw(ctx, drawLayerCache, arguments)) {
+    return ctx;
+  }
+  const { x, y, width, height, canvas } = cache;
+  // inverting the y-axis, otherwise the layer appears flipped
+  ctx.save();
+  ctx.scale(1, -1);
+  ctx.drawImage(canvas, x - width / 2, -y - height / 2, width, height);
+  ctx.restore();
+  return ctx;
+}
+
+// render targets are canvases stored with the images, so that textures can be
+// created from them
+export function createRenderTarget(width, height) {
+  const canvas = engine.isHeadless
+    ? createHeadlessCanvas(width, height)
+    : document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").imageSmoothingEnabled = false;
+  const id = reserveSlot(engine.images);
+  engine.images[id] = canvas;
+  return id;
+}
+
+export function renderTo(ctx, imgId, clear, draw) {
+  const canvas = engine.images[imgId];
+  if (!canvas) {
+    return ctx;
+  }
+  const targetCtx = canvas.getContext("2d");
+  targetCtx.setTransform(1, 0, 0, 1, 0, 0);
+  if (clear) {
+    targetCtx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+  // world coordinates in pixels, with (0, 0) in the centre
+  targetCtx.setTransform(1, 0, 0, -1, canvas.width / 2, canvas.height / 2);
+  // render_to may also be called while drawing a cached layer, and the layers
+  // and viewports set inside draw must not leak into the rest of the view
+  const wasDrawingImmediately = isDrawingImmediately;
+  const previous = [drawLayer, drawDepth, drawClip, isScreenLayer];
+  isDrawingImmediately = true;
+  try {
+    draw(targetCtx);
+  } finally {
+    isDrawingImmediately = wasDrawingImmediately;
+    [drawLayer, drawDepth, drawClip, isScreenLayer] = previous;
+  }
   return ctx;
 }
 
+export function deleteRenderTarget(imgId) {
+  engine.images[imgId] = undefined;
+}
+
 export function drawRect(ctx, cx, cy, w, h, color) {
+  if (deferDraw(ctx, drawRect, arguments)) {
+    return ctx;
+  }
   const x = cx - w / 2;
   const y = cy - h / 2;
   ctx.fillStyle = color;
   ctx.fillRect(x, y, w, h);
+  recordDrawCall(ctx, "rect", [cx, cy, w, h], [color]);
+  return ctx;
+}
+
+export function drawPath(ctx, points, width, color) {
+  if (deferDraw(ctx, drawPath, arguments)) {
+    return ctx;
+  }
+  points = points.toArray();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i][0], points[i][1]);
+  }
+  ctx.stroke();
+  recordDrawCall(ctx, "path", [width, ...points.flat()], [color]);
   return ctx;
 }
 
-export function drawPath(ctx, points, width, color) {
-  points = points.toArray();
-  ctx.strokeStyle = color;
-  ctx.lineWidth = width;
-  ctx.beginPath();
-  ctx.moveTo(points[0][0], points[0][1]);
-  for (let i = 1; i < points.length; i++) {
-    ctx.lineTo(points[i][0], points[i][1]);
+export function drawPolygon(ctx, points, color) {
+  if (deferDraw(ctx, drawPolygon, arguments)) {
+    return ctx;
+  }
+  points = points.toArray();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i][0], points[i][1]);
+  }
+  ctx.closePath();
+  ctx.fill();
+  recordDrawCall(ctx, "polygon", points.flat(), [color]);
+  return ctx;
+}
+
+export function drawLine(ctx, x1, y1, x2, y2, width, color) {
+  if (deferDraw(ctx, drawLine, arguments)) {
+    return ctx;
+  }
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+  recordDrawCall(ctx, "line", [x1, y1, x2, y2, width], [color]);
+  return ctx;
+}
+
+export function drawEllipse(
+  ctx,
+  cx,
+  cy,
+  r1,
+  r2,
+  tilt,
+  startAngle,
+  endAngle,
+  filled,
+  width,
+  color
+) {
+  if (deferDraw(ctx, drawEllipse, arguments)) {
+    return ctx;
+  }
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.ellipse(cx, cy, r1, r2, tilt, startAngle, endAngle);
+  if (filled) {
+    ctx.fill();
+  } else {
+    ctx.stroke();
+  }
+  recordDrawCall(
+    ctx,
+    "ellipse",
+    [cx, cy, r1, r2, tilt, startAngle, endAngle, filled ? 1 : 0, width],
+    [color]
+  );
+  return ctx;
+}
+
+export function drawCircle(ctx, cx, cy, r, color) {
+  if (deferDraw(ctx, drawCircle, arguments)) {
+    return ctx;
+  }
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+  ctx.fill();
+  recordDrawCall(ctx, "circle", [cx, cy, r], [color]);
+  return ctx;
+}
+
+const textAligns = ["left", "center", "right"];
+const textBaselines = ["top", "middle", "alphabetic", "bottom"];
+
+export function drawText(
+  ctx,
+  text,
+  cx,
+  cy,
+  size,
+  weight,
+  font,
+  tilt,
+  color,
+  align,
+  baseline,
+  maxWidth,
+  lineSpacing
+) {
+  if (deferDraw(ctx, drawText, arguments)) {
+    return ctx;
+  }
+  ctx.fillStyle = color;
+  ctx.textAlign = textAligns[align];
+  ctx.textBaseline = textBaselines[baseline];
+  ctx.font = `${weight} ${size}px ${font}`;
+  const measure = (line) => ctx.measureText(line).width;
+  const lines = splitLines(text, maxWidth, measure);
+  const offsets = getLineOffsets(lines.length, size * lineSpacing, baseline);
+  // inverting the y axis, otherwise text appears flipped
+  ctx.save();
+  ctx.scale(1, -1);
+  ctx.translate(cx, -cy);
+  ctx.rotate(tilt);
+  lines.forEach((line, i) => ctx.fillText(line, 0, offsets[i]));
+  ctx.restore();
+  lines.forEach((line, i) => {
+    const [x, y] = rotateTextOffset(0, offsets[i], tilt);
+    recordDrawCall(
+      ctx,
+      "text",
+      [cx + x, cy + y, size, weight, tilt],
+      [line, font, color]
+    );
+  });
+  return ctx;
+}
+
+// splits the text at line breaks, and between words so that no line is wider
+// than maxWidth, unless it is not positive or a single word is wider
+function splitLines(text, maxWidth, measure) {
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    if (maxWidth <= 0) {
+      lines.push(paragraph);
+      continue;
+    }
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      const candidate = line === "" ? word : `${line} ${word}`;
+      if (line !== "" && measure(candidate) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// the vertical offsets of the lines from the position of the text, pointing
+// down, as the baseline applies to the whole block of lines
+function getLineOffsets(count, lineHeight, baseline) {
+  let first = 0;
+  if (textBaselines[baseline] === "middle") {
+    first = (-(count - 1) * lineHeight) / 2;
+  } else if (textBaselines[baseline] === "bottom") {
+    first = -(count - 1) * lineHeight;
+  }
+  return Array.from({ length: count }, (_, i) => first + i * lineHeight);
+}
+
+// converts an offset in the rotated and flipped space that text is drawn in
+// into world coordinates
+function rotateTextOffset(x, y, tilt) {
+  const cos = Math.cos(tilt);
+  const sin = Math.sin(tilt);
+  return [x * cos - y * sin, -x * sin - y * cos];
+}
+
+// the context used for measuring text outside of the view function
+let measuringContext;
+
+function getMeasuringContext(size, weight, font) {
+  measuringContext ??= engine.isHeadless
+    ? createHeadlessCanvas(0, 0).getContext("2d")
+    : document.createElement("canvas").getContext("2d");
+  measuringContext.font = `${weight} ${size}px ${font}`;
+  return measuringContext;
+}
+
+export function measureText(text, size, weight, font, maxWidth, lineSpacing) {
+  const ctx = getMeasuringContext(size, weight, font);
+  const measure = (line) => ctx.measureText(line).width;
+  const lines = splitLines(text, maxWidth, measure);
+  return [
+    Math.max(...lines.map(measure)),
+    size + (lines.length - 1) * size * lineSpacing,
+  ];
+}
+
+export function wrapText(text, size, weight, font, maxWidth) {
+  const ctx = getMeasuringContext(size, weight, font);
+  const measure = (line) => ctx.measureText(line).width;
+  return toList(splitLines(text, maxWidth, measure));
+}
+
+export function drawBitmapText(
+  ctx,
+  imgId,
+  sx,
+  sy,
+  glyphWidth,
+  glyphHeight,
+  columns,
+  characters,
+  text,
+  cx,
+  cy,
+  size,
+  tilt,
+  align,
+  baseline,
+  maxWidth,
+  lineSpacing
+) {
+  if (deferDraw(ctx, drawBitmapText, arguments)) {
+    return ctx;
+  }
+  const width = (size * glyphWidth) / glyphHeight;
+  const glyphs = Array.from(characters);
+  const lines = splitLines(
+    text,
+    maxWidth,
+    (line) => Array.from(line).length * width
+  );
+  const offsets = getLineOffsets(lines.length, size * lineSpacing, baseline);
+  // the offset of the top of a line from its position; bitmap fonts have no
+  // baseline, so it is the bottom of the glyphs
+  const top = [0, -size / 2, -size, -size][baseline];
+  lines.forEach((line, i) => {
+    const chars = Array.from(line);
+    const left = [0, -chars.length / 2, -chars.length][align] * width;
+    chars.forEach((char, j) => {
+      const index = glyphs.indexOf(char);
+      if (index < 0) {
+        return;
+      }
+      const [x, y] = rotateTextOffset(
+        left + (j + 0.5) * width,
+        offsets[i] + top + size / 2,
+        tilt
+      );
+      drawTexture(
+        ctx,
+        imgId,
+        sx + (index % columns) * glyphWidth,
+        sy + Math.floor(index / columns) * glyphHeight,
+        glyphWidth,
+        glyphHeight,
+        cx + x,
+        cy + y,
+        width,
+        size,
+        tilt,
+        false,
+        false
+      );
+    });
+  });
+  return ctx;
+}
+
+export function measureBitmapText(
+  glyphWidth,
+  glyphHeight,
+  text,
+  size,
+  maxWidth,
+  lineSpacing
+) {
+  const measure = (line) =>
+    (Array.from(line).length * size * glyphWidth) / glyphHeight;
+  const lines = splitLines(text, maxWidth, measure);
+  return [
+    Math.max(...lines.map(measure)),
+    size + (lines.length - 1) * size * lineSpacing,
+  ];
+}
+
+export function drawTexture(
+  ctx,
+  imgId,
+  sx,
+  sy,
+  sw,
+  sh,
+  dx,
+  dy,
+  dw,
+  dh,
+  tilt,
+  flipX,
+  flipY
+) {
+  if (deferDraw(ctx, drawTexture, arguments)) {
+    return ctx;
+  }
+  ctx.save();
+  // inverting the y-axis, otherwise image appears flipped
+  ctx.scale(1, -1);
+  ctx.translate(dx, -dy);
+  ctx.rotate(tilt);
+  ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+  ctx.drawImage(engine.images[imgId], sx, sy, sw, sh, -dw / 2, -dh / 2, dw, dh);
+  ctx.restore();
+  recordDrawCall(
+    ctx,
+    "texture",
+    [imgId, sx, sy, sw, sh, dx, dy, dw, dh, tilt, flipX ? 1 : 0, flipY ? 1 : 0],
+    []
+  );
+  return ctx;
+}
+
+// reads the frames and tags of a sprite sheet exported from Aseprite
+export function parseAseprite(data) {
+  const frames = Array.isArray(data?.frames)
+    ? data.frames
+    : Object.values(data?.frames ?? {});
+  if (frames.length === 0 || !frames.every((frame) => frame?.frame)) {
+    return new $Error(undefined);
+  }
+  const directions = ["forward", "reverse", "pingpong", "pingpong_reverse"];
+  const tags = (data.meta?.frameTags ?? []).map((tag) => [
+    String(tag.name),
+    tag.from,
+    tag.to,
+    Math.max(directions.indexOf(tag.direction), 0),
+  ]);
+  return new $Ok([
+    toList(
+      frames.map(({ frame, duration }) => [
+        frame.x,
+        frame.y,
+        frame.w,
+        frame.h,
+        duration ?? 100,
+      ])
+    ),
+    toList(tags),
+  ]);
+}
+
+// the transform of a camera from the camera module, which is given in screen
+// coordinates, and its viewport
+export function applyCamera(ctx, a, b, c, d, e, f, x, y, width, height) {
+  const s = engine.canvasScale;
+  ctx.setTransform(a * s, b * s, c * s, d * s, e * s, f * s);
+  drawClip = [x * s, y * s, width * s, height * s];
+  return ctx;
+}
+
+export function setCameraPos(ctx, new_pos_x, new_pos_y) {
+  ctx.translate(-new_pos_x, -new_pos_y);
+  return ctx;
+}
+
+export function setCameraScale(ctx, new_scale) {
+  ctx.scale(new_scale, new_scale);
+  return ctx;
+}
+
+export function setCameraAngle(ctx, new_angle) {
+  ctx.rotate(new_angle);
+  return ctx;
+}
+
+export function setBackground(ctx, color) {
+  ctx.canvas.style.backgroundColor = color;
+  recordDrawCall(ctx, "background", [], [color]);
+  // if in fullscreen mode
+  if (engine.isWindow) {
+    document.body.style.backgroundColor = color;
+  }
+  return ctx;
+}
+
+export function checkImgId(id) {
+  // images that failed to load or were unloaded are undefined
+  const image = engine.images[id];
+  if (id >= 0 && image) {
+    return new $Ok([image.width, image.height]);
+  } else {
+    return new $Error(null);
+  }
+}
+
+// only the contexts of the headless backend record the draw calls
+function recordDrawCall(ctx, name, numbers, strings) {
+  if (ctx.drawCalls) {
+    ctx.drawCalls.push([name, toList(numbers), toList(strings)]);
+  }
+}
+
+////////// input (general) //////////
+
+// run right before every update
+function pollInput() {
+  pollGamepads();
+  pollTouches();
+  if (engine.replay) {
+    replayFrame();
+  } else if (engine.recording) {
+    recordFrame();
+  }
+}
+
+function clearInput() {
+  for (const key in engine.keyInput) {
+    engine.keyInput[key] &= 0b001;
+  }
+  for (const key in engine.mouseInput) {
+    engine.mouseInput[key] &= 0b001;
+  }
+  clearTouches();
+}
+
+////////// replay //////////
+
+// every engine keeps the recording in progress, or null when not recording,
+// as { frames, seed, keys, mouse, position }, where keys, mouse and position
+// are the input state after the previous recorded frame, used to only store
+// changes; and the replay in progress, or null when not replaying, as
+// { frames, index }
+
+// a frame is an object with the delta time in ms (t), and only if they changed,
+// the key bitflags (k), mouse button bitflags (m) and mouse position (p)
+function recordFrame() {
+  const recording = engine.recording;
+  const frame = { t: engine.deltaTime };
+  const keys = diffInput(recording.keys, engine.keyInput);
+  if (keys) {
+    frame.k = keys;
+  }
+  const mouse = diffInput(recording.mouse, engine.mouseInput);
+  if (mouse) {
+    frame.m = mouse;
+  }
+  // relative to the canvas, so that replays work with other window sizes
+  const boundingRect = getCanvas().getBoundingClientRect();
+  const position = [
+    (engine.mousePosition.x - boundingRect.left) / engine.canvasScale,
+    (engine.mousePosition.y - boundingRect.top) / engine.canvasScale,
+  ];
+  if (
+    position[0] !== recording.position[0] ||
+    position[1] !== recording.position[1]
+  ) {
+    frame.p = position;
+    recording.position = position;
+  }
+  recording.frames.push(frame);
+}
+
+// returns the entries of the input that differ from the previous input as it
+// was after clearInput (which is where a replay continues from), or undefined
+// if there are none, and remembers the input for the next frame
+function diffInput(previous, input) {
+  let changes;
+  const keys = new Set([...Object.keys(previous), ...Object.keys(input)]);
+  for (const key of keys) {
+    const bits = input[key] ?? 0;
+    if (bits !== ((previous[key] ?? 0) & 0b001)) {
+      changes ??= {};
+      changes[key] = bits;
+    }
+    previous[key] = bits;
+  }
+  return changes;
+}
+
+function replayFrame() {
+  const frame = engine.replay.frames[engine.replay.index++];
+  if (!frame) {
+    stopReplay();
+    return;
+  }
+  engine.deltaTime = frame.t;
+  Object.assign(engine.keyInput, frame.k);
+  Object.assign(engine.mouseInput, frame.m);
+  if (frame.p) {
+    const boundingRect = getCanvas().getBoundingClientRect();
+    const scale = engine.canvasScale;
+    engine.mousePosition.x = frame.p[0] * scale + boundingRect.left;
+    engine.mousePosition.y = frame.p[1] * scale + boundingRect.top;
+  }
+}
+
+export function startRecording() {
+  // reseed, so that the replay can start with the same random numbers
+  const seed = Math.floor(Math.random() * 2 ** 32);
+  engine.recording = { frames: [], seed, keys: {}, mouse: {}, position: [] };
+  setRandomSeed(seed);
+}
+
+export function stopRecording() {
+  const log = JSON.stringify({
+    version: 1,
+    seed: engine.recording?.seed,
+    frames: engine.recording?.frames ?? [],
+  });
+  engine.recording = null;
+  return log;
+}
+
+export function isRecording() {
+  return engine.recording !== null;
+}
+
+export function startReplay(log) {
+  let data;
+  try {
+    data = JSON.parse(log);
+  } catch {
+    return new $Error(undefined);
+  }
+  if (
+    data?.version !== 1 ||
+    typeof data.seed !== "number" ||
+    !Array.isArray(data.frames)
+  ) {
+    return new $Error(undefined);
+  }
+  engine.replay = { frames: data.frames, index: 0 };
+  setRandomSeed(data.seed);
+  // the recording starts with no keys or buttons down
+  engine.keyInput = {};
+  engine.mouseInput = {};
+  return new $Ok(undefined);
+}
+
+export function stopReplay() {
+  engine.replay = null;
+  // forget the replayed input, so it does not get stuck
+  engine.keyInput = {};
+  engine.mouseInput = {};
+}
+
+export function isReplaying() {
+  return engine.replay !== null;
+}
+
+////////// simulate //////////
+
+export function screenToWorld(x, y) {
+  // inverse transform
+  const iT = getCanvas().getContext("2d").getTransform().invertSelf();
+  x = x * engine.canvasScale;
+  y = y * engine.canvasScale;
+  return [iT.a * x + iT.c * y + iT.e, iT.b * x + iT.d * y + iT.f];
+}
+
+export function worldToScreen(x, y) {
+  // direct transform
+  const dT = getCanvas().getContext("2d").getTransform();
+  return [
+    (dT.a * x + dT.c * y + dT.e) / engine.canvasScale,
+    (dT.b * x + dT.d * y + dT.f) / engine.canvasScale,
+  ];
+}
+
+////////// particles //////////
+
+// the number of steps in which the color of a particle changes over its life
+const PARTICLE_COLOR_STEPS = 64;
+
+// the particles are stored in typed arrays, one for every property, sorted
+// from the oldest to the newest particle
+export function createEmitter(
+  rate,
+  areaWidth,
+  areaHeight,
+  lifetime,
+  speed,
+  angle,
+  spin,
+  gravityX,
+  gravityY,
+  damping,
+  startColor,
+  endColor,
+  startSize,
+  endSize,
+  texture,
+  maxParticles
+) {
+  const capacity = Math.max(maxParticles, 0);
+  // the colors are computed in advance, so that drawing a particle doesn't
+  // require formatting a new string
+  const colors = [];
+  const alphas = [];
+  for (let i = 0; i <= PARTICLE_COLOR_STEPS; i++) {
+    const t = i / PARTICLE_COLOR_STEPS;
+    const [r, g, b, a] = startColor.map((c, j) => c + (endColor[j] - c) * t);
+    colors.push(
+      "#" +
+        [r, g, b, a * 255]
+          .map((c) => Math.round(c).toString(16).padStart(2, "0"))
+          .join("")
+    );
+    alphas.push(a);
+  }
+  return {
+    rate,
+    areaWidth,
+    areaHeight,
+    lifetime,
+    speed,
+    angle,
+    spin,
+    gravityX,
+    gravityY,
+    damping,
+    colors,
+    alphas,
+    startSize,
+    endSize,
+    texture: texture[0] >= 0 ? texture : undefined,
+    x: 0,
+    y: 0,
+    isActive: true,
+    // the fraction of a particle that was not spawned yet
+    spawnDebt: 0,
+    count: 0,
+    capacity,
+    px: new Float64Array(capacity),
+    py: new Float64Array(capacity),
+    vx: new Float64Array(capacity),
+    vy: new Float64Array(capacity),
+    rotation: new Float64Array(capacity),
+    angularVelocity: new Float64Array(capacity),
+    age: new Float64Array(capacity),
+    life: new Float64Array(capacity),
+  };
+}
+
+function randomInRange([min, max]) {
+  return min + (max - min) * random();
+}
+
+function spawnParticles(emitter, count) {
+  const e = emitter;
+  for (let n = 0; n < count && e.count < e.capacity; n++) {
+    const i = e.count++;
+    const speed = randomInRange(e.speed);
+    const angle = randomInRange(e.angle);
+    e.px[i] = e.x + (random() - 0.5) * e.areaWidth;
+    e.py[i] = e.y + (random() - 0.5) * e.areaHeight;
+    e.vx[i] = Math.cos(angle) * speed;
+    e.vy[i] = Math.sin(angle) * speed;
+    e.rotation[i] = 0;
+    e.angularVelocity[i] = randomInRange(e.spin);
+    e.age[i] = 0;
+    e.life[i] = randomInRange(e.lifetime);
+  }
+}
+
+export function setEmitterPos(emitter, x, y) {
+  emitter.x = x;
+  emitter.y = y;
+  return emitter;
+}
+
+export function getEmitterPos(emitter) {
+  return [emitter.x, emitter.y];
+}
+
+export function setEmitterActive(emitter, isActive) {
+  emitter.isActive = isActive;
+  if (!isActive) {
+    emitter.spawnDebt = 0;
+  }
+  return emitter;
+}
+
+export function burstEmitter(emitter, count) {
+  spawnParticles(emitter, count);
+  return emitter;
+}
+
+export function updateEmitter(emitter, dt) {
+  const e = emitter;
+  const damping = Math.pow(e.damping, dt);
+  // moves the particles that are still alive to the front, keeping their order
+  let alive = 0;
+  for (let i = 0; i < e.count; i++) {
+    const age = e.age[i] + dt;
+    if (age >= e.life[i]) {
+      continue;
+    }
+    const vx = e.vx[i] * damping + e.gravityX * dt;
+    const vy = e.vy[i] * damping + e.gravityY * dt;
+    e.px[alive] = e.px[i] + vx * dt;
+    e.py[alive] = e.py[i] + vy * dt;
+    e.vx[alive] = vx;
+    e.vy[alive] = vy;
+    e.rotation[alive] = e.rotation[i] + e.angularVelocity[i] * dt;
+    e.angularVelocity[alive] = e.angularVelocity[i];
+    e.age[alive] = age;
+    e.life[alive] = e.life[i];
+    alive++;
+  }
+  e.count = alive;
+  if (e.isActive) {
+    e.spawnDebt += e.rate * dt;
+    const count = Math.floor(e.spawnDebt);
+    e.spawnDebt -= count;
+    spawnParticles(e, count);
+  }
+  return e;
+}
+
+export function getParticleCount(emitter) {
+  return emitter.count;
+}
+
+export function clearEmitter(emitter) {
+  emitter.count = 0;
+  emitter.spawnDebt = 0;
+  return emitter;
+}
+
+export function drawEmitter(ctx, emitter) {
+  if (deferDraw(ctx, drawEmitter, arguments)) {
+    return ctx;
+  }
+  const e = emitter;
+  const alpha = ctx.globalAlpha;
+  for (let i = 0; i < e.count; i++) {
+    const t = e.life[i] > 0 ? Math.min(e.age[i] / e.life[i], 1) : 1;
+    const step = Math.round(t * PARTICLE_COLOR_STEPS);
+    const size = e.startSize + (e.endSize - e.startSize) * t;
+    if (e.texture) {
+      const [imgId, sx, sy, sw, sh] = e.texture;
+      ctx.globalAlpha = alpha * e.alphas[step];
+      drawTexture(
+        ctx,
+        imgId,
+        sx,
+        sy,
+        sw,
+        sh,
+        e.px[i],
+        e.py[i],
+        size,
+        size,
+        e.rotation[i],
+        false,
+        false
+      );
+    } else {
+      drawRect(ctx, e.px[i], e.py[i], size, size, e.colors[step]);
+    }
+  }
+  ctx.globalAlpha = alpha;
+  return ctx;
+}
+
+////////// tilemap //////////
+
+// the flags that Tiled stores in the highest bits of a tile id
+const TILE_FLIPPED_X = 0x80000000;
+const TILE_FLIPPED_Y = 0x40000000;
+const TILE_ID_MASK = 0x0fffffff;
+
+// a tilemap is { columns, rows, tileWidth, tileHeight, layers, tilesets,
+// solid, objects }, where every layer is { name, visible, tiles } with the
+// tile ids (0 for no tile) row by row, and solid marks the solid cells
+export function loadTiledMap(dataId, tilesetImages) {
+  let data;
+  try {
+    data = JSON.parse(engine.dataFiles[dataId]);
+  } catch {
+    return new $Error(undefined);
+  }
+  tilesetImages = tilesetImages.toArray();
+  if (
+    data?.infinite ||
+    !Array.isArray(data?.layers) ||
+    !Array.isArray(data?.tilesets) ||
+    data.tilesets.length !== tilesetImages.length
+  ) {
+    return new $Error(undefined);
+  }
+  const tilesets = [];
+  for (let i = 0; i < data.tilesets.length; i++) {
+    const tileset = data.tilesets[i];
+    // external tilesets are not supported
+    if (!tileset.columns) {
+      return new $Error(undefined);
+    }
+    const solidIds = new Set();
+    for (const tile of tileset.tiles ?? []) {
+      if (getTiledProperty(tile.properties, "solid") === true) {
+        solidIds.add(tileset.firstgid + tile.id);
+      }
+    }
+    tilesets.push({
+      firstgid: tileset.firstgid,
+      imgId: tilesetImages[i],
+      columns: tileset.columns,
+      tileWidth: tileset.tilewidth,
+      tileHeight: tileset.tileheight,
+      margin: tileset.margin ?? 0,
+      spacing: tileset.spacing ?? 0,
+      solidIds,
+    });
+  }
+  const map = createTilemap(
+    data.width,
+    data.height,
+    data.tilewidth,
+    data.tileheight,
+    tilesets
+  );
+  // also handles the layers inside of group layers
+  const addLayers = (layers) => {
+    for (const layer of layers) {
+      if (layer.type === "group") {
+        addLayers(layer.layers ?? []);
+      } else if (layer.type === "tilelayer") {
+        if (!Array.isArray(layer.data)) {
+          // base64 encoded or compressed layers are not supported
+          throw new Error("unsupported layer");
+        }
+        if (layer.data.length !== map.columns * map.rows) {
+          throw new Error("wrong layer size");
+        }
+        addTileLayer(
+          map,
+          layer.name,
+          layer.visible !== false,
+          layer.data,
+          getTiledProperty(layer.properties, "solid") === true
+        );
+      } else if (layer.type === "objectgroup") {
+        for (const object of layer.objects ?? []) {
+          map.objects.push(parseTiledObject(object, layer.name));
+        }
+      }
+    }
+  };
+  try {
+    addLayers(data.layers);
+  } catch {
+    return new $Error(undefined);
+  }
+  return new $Ok(map);
+}
+
+// a CSV map is a single layer of indices into the tileset, counted row by row
+// from the top-left tile of the image, where -1 means no tile
+export function loadCsvMap(dataId, imgId, tileWidth, tileHeight) {
+  const text = engine.dataFiles[dataId];
+  const image = engine.images[imgId];
+  if (typeof text !== "string" || !image || tileWidth <= 0 || tileHeight <= 0) {
+    return new $Error(undefined);
+  }
+  const rows = text
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => line.split(",").map((value) => parseInt(value, 10)));
+  const columns = Math.max(...rows.map((row) => row.length));
+  if (rows.some((row) => row.some((value) => isNaN(value)))) {
+    return new $Error(undefined);
+  }
+  const tileset = {
+    firstgid: 1,
+    imgId,
+    columns: Math.floor(image.width / tileWidth),
+    tileWidth,
+    tileHeight,
+    margin: 0,
+    spacing: 0,
+    solidIds: new Set(),
+  };
+  const map = createTilemap(columns, rows.length, tileWidth, tileHeight, [
+    tileset,
+  ]);
+  const tiles = rows.flatMap((row) =>
+    Array.from({ length: columns }, (_, i) => (row[i] ?? -1) + 1)
+  );
+  addTileLayer(map, "", true, tiles, true);
+  return new $Ok(map);
+}
+
+function createTilemap(columns, rows, tileWidth, tileHeight, tilesets) {
+  return {
+    columns,
+    rows,
+    tileWidth,
+    tileHeight,
+    layers: [],
+    // sorted by firstgid, from the highest
+    tilesets: tilesets.sort((a, b) => b.firstgid - a.firstgid),
+    solid: new Uint8Array(columns * rows),
+    objects: [],
+  };
+}
+
+function addTileLayer(map, name, visible, tiles, isSolid) {
+  const layer = { name, visible, tiles: Uint32Array.from(tiles) };
+  for (let i = 0; i < layer.tiles.length; i++) {
+    const id = layer.tiles[i] & TILE_ID_MASK;
+    if (id && (isSolid || getTileset(map, id)?.solidIds.has(id))) {
+      map.solid[i] = 1;
+    }
+  }
+  map.layers.push(layer);
+}
+
+function getTileset(map, id) {
+  return map.tilesets.find((tileset) => tileset.firstgid <= id);
+}
+
+function getTiledProperty(properties, name) {
+  return properties?.find((property) => property.name === name)?.value;
+}
+
+// returns [id, name, class, layer, x, y, width, height, properties] in pixels,
+// with every property as [name, type, bool, number, string]
+function parseTiledObject(object, layerName) {
+  const width = object.width ?? 0;
+  const height = object.height ?? 0;
+  // tile objects are positioned by their bottom-left corner
+  const y = object.gid ? object.y - height : object.y;
+  const properties = (object.properties ?? []).map((property) => {
+    const value = property.value;
+    switch (property.type) {
+      case "bool":
+        return [property.name, 0, value, 0, ""];
+      case "int":
+      case "object":
+        return [property.name, 1, false, value ?? 0, ""];
+      case "float":
+        return [property.name, 2, false, value, ""];
+      default:
+        return [property.name, 3, false, 0, String(value)];
+    }
+  });
+  return [
+    object.id,
+    object.name ?? "",
+    object.class ?? object.type ?? "",
+    layerName,
+    object.x,
+    y,
+    width,
+    height,
+    toList(properties),
+  ];
+}
+
+export function getTilemapSize(map) {
+  return [map.columns, map.rows, map.tileWidth, map.tileHeight];
+}
+
+export function getTilemapLayers(map) {
+  return toList(map.layers.map((layer) => layer.name));
+}
+
+export function getTilemapObjects(map) {
+  return toList(map.objects);
+}
+
+export function getTile(map, layerName, column, row) {
+  const layer = map.layers.find((layer) => layer.name === layerName);
+  if (
+    !layer ||
+    column < 0 ||
+    row < 0 ||
+    column >= map.columns ||
+    row >= map.rows
+  ) {
+    return 0;
+  }
+  return layer.tiles[row * map.columns + column] & TILE_ID_MASK;
+}
+
+// returns [imgId, x, y, width, height] of the tile with the given id
+export function getTileSource(map, id) {
+  const tileset = getTileset(map, id);
+  if (!tileset) {
+    return new $Error(undefined);
+  }
+  const index = id - tileset.firstgid;
+  const column = index % tileset.columns;
+  const row = Math.floor(index / tileset.columns);
+  return new $Ok([
+    tileset.imgId,
+    tileset.margin + column * (tileset.tileWidth + tileset.spacing),
+    tileset.margin + row * (tileset.tileHeight + tileset.spacing),
+    tileset.tileWidth,
+    tileset.tileHeight,
+  ]);
+}
+
+export function isSolidTile(map, column, row) {
+  return (
+    column >= 0 &&
+    row >= 0 &&
+    column < map.columns &&
+    row < map.rows &&
+    map.solid[row * map.columns + column] === 1
+  );
+}
+
+// returns the [column, row] of every solid tile in the given range
+export function getSolidTiles(map, minColumn, minRow, maxColumn, maxRow) {
+  const tiles = [];
+  for (let row = Math.max(minRow, 0); row <= maxRow; row++) {
+    if (row >= map.rows) break;
+    for (let column = Math.max(minColumn, 0); column <= maxColumn; column++) {
+      if (column >= map.columns) break;
+      if (map.solid[row * map.columns + column]) {
+        tiles.push([column, row]);
+      }
+    }
+  }
+  return toList(tiles);
+}
+
+// draws the tiles of a layer (or of all visible layers if the name is empty)
+// that are visible on the canvas, with the top-left corner of the map at the
+// given position and tiles of the given size, all in world coordinates
+export function drawTilemap(ctx, map, x, y, tileWidth, tileHeight) {
+  if (deferDraw(ctx, drawTilemap, arguments)) {
+    return ctx;
   }
-  ctx.stroke();
+  const layers = map.layers.filter((layer) => layer.visible);
+  drawTileLayers(ctx, map, layers, x, y, tileWidth, tileHeight);
   return ctx;
 }
 
-export function drawPolygon(ctx, points, color) {
-  points = points.toArray();
-  ctx.fillStyle = color;
-  ctx.beginPath();
-  ctx.moveTo(points[0][0], points[0][1]);
-  for (let i = 1; i < points.length; i++) {
-    ctx.lineTo(points[i][0], points[i][1]);
+// draws the layers with the given name, even the hidden ones
+export function drawTilemapLayer(
+  ctx,
+  map,
+  layerName,
+  x,
+  y,
+  tileWidth,
+  tileHeight
+) {
+  if (deferDraw(ctx, drawTilemapLayer, arguments)) {
+    return ctx;
   }
-  ctx.closePath();
-  ctx.fill();
+  const layers = map.layers.filter((layer) => layer.name === layerName);
+  drawTileLayers(ctx, map, layers, x, y, tileWidth, tileHeight);
   return ctx;
 }
 
-export function drawLine(ctx, x1, y1, x2, y2, width, color) {
-  ctx.strokeStyle = color;
-  ctx.lineWidth = width;
-  ctx.beginPath();
-  ctx.moveTo(x1, y1);
-  ctx.lineTo(x2, y2);
-  ctx.stroke();
-  return ctx;
+function drawTileLayers(ctx, map, layers, x, y, tileWidth, tileHeight) {
+  // the corners of the canvas in world coordinates
+  const iT = ctx.getTransform().invertSelf();
+  const corners = [
+    [0, 0],
+    [ctx.canvas.width, 0],
+    [0, ctx.canvas.height],
+    [ctx.canvas.width, ctx.canvas.height],
+  ].map(([cx, cy]) => [
+    iT.a * cx + iT.c * cy + iT.e,
+    iT.b * cx + iT.d * cy + iT.f,
+  ]);
+  const xs = corners.map(([cx, _]) => (cx - x) / tileWidth);
+  const ys = corners.map(([_, cy]) => (y - cy) / tileHeight);
+  const minColumn = Math.max(Math.floor(Math.min(...xs)), 0);
+  const maxColumn = Math.min(Math.floor(Math.max(...xs)), map.columns - 1);
+  const minRow = Math.max(Math.floor(Math.min(...ys)), 0);
+  const maxRow = Math.min(Math.floor(Math.max(...ys)), map.rows - 1);
+  for (const layer of layers) {
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const tile = layer.tiles[row * map.columns + column];
+        const id = tile & TILE_ID_MASK;
+        const source = id && getTileSource(map, id);
+        if (source instanceof $Ok) {
+          const [imgId, sx, sy, sw, sh] = source[0];
+          drawTexture(
+            ctx,
+            imgId,
+            sx,
+            sy,
+            sw,
+            sh,
+            x + (column + 0.5) * tileWidth,
+            y - (row + 0.5) * tileHeight,
+            tileWidth,
+            tileHeight,
+            0,
+            (tile & TILE_FLIPPED_X) !== 0,
+            (tile & TILE_FLIPPED_Y) !== 0
+          );
+        }
+      }
+    }
+  }
 }
 
-export function drawEllipse(
+////////// iso //////////
+
+// draws an image lying on the ground in perspective, one horizontal strip at a
+// time, like the "Mode 7" of the SNES; every strip is drawn with the affine
+// transform that is exact at its middle
+export function drawGround(
   ctx,
-  cx,
-  cy,
-  r1,
-  r2,
-  tilt,
-  startAngle,
-  endAngle,
-  filled,
+  imgId,
+  sx,
+  sy,
+  sw,
+  sh,
+  x,
+  y,
   width,
-  color
+  height,
+  camX,
+  camY,
+  angle,
+  camHeight,
+  focalLength,
+  horizon,
+  rows
 ) {
-  ctx.strokeStyle = color;
-  ctx.fillStyle = color;
-  ctx.lineWidth = width;
-  ctx.beginPath();
-  ctx.ellipse(cx, cy, r1, r2, tilt, startAngle, endAngle);
-  if (filled) {
-    ctx.fill();
-  } else {
-    ctx.stroke();
+  if (deferDraw(ctx, drawGround, arguments)) {
+    return ctx;
+  }
+  const image = engine.images[imgId];
+  // the headless backend has nothing to draw
+  if (!image || engine.isHeadless || camHeight <= 0 || rows < 1) {
+    return ctx;
+  }
+  // the visible area in world coordinates
+  const canvas = ctx.canvas;
+  const inverse = ctx.getTransform().invertSelf();
+  const corners = [
+    [0, 0],
+    [canvas.width, 0],
+    [0, canvas.height],
+    [canvas.width, canvas.height],
+  ].map(([px, py]) => [
+    inverse.a * px + inverse.c * py + inverse.e,
+    inverse.b * px + inverse.d * py + inverse.f,
+  ]);
+  const left = Math.min(...corners.map(([cx]) => cx));
+  const right = Math.max(...corners.map(([cx]) => cx));
+  const bottom = Math.min(...corners.map(([, cy]) => cy));
+  const top = Math.min(horizon, Math.max(...corners.map(([, cy]) => cy)));
+  if (top <= bottom) {
+    return ctx;
+  }
+  const forward = [Math.cos(angle), Math.sin(angle)];
+  const side = [Math.sin(angle), -Math.cos(angle)];
+  const rowHeight = (top - bottom) / rows;
+  for (let row = 0; row < rows; row++) {
+    const rowTop = top - row * rowHeight;
+    const middle = rowTop - rowHeight / 2;
+    // the distance of the ground seen at the middle of the row, and how fast
+    // the screen position changes with the distance and sideways there
+    const distance = (camHeight * focalLength) / (horizon - middle);
+    const scale = focalLength / distance;
+    const depthScale = (camHeight * focalLength) / (distance * distance);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, rowTop - rowHeight, right - left, rowHeight);
+    ctx.clip();
+    ctx.transform(
+      scale * side[0],
+      depthScale * forward[0],
+      scale * side[1],
+      depthScale * forward[1],
+      -scale * (side[0] * camX + side[1] * camY),
+      middle - depthScale * (distance + forward[0] * camX + forward[1] * camY)
+    );
+    // inverting the y-axis, otherwise the image appears flipped
+    ctx.scale(1, -1);
+    ctx.drawImage(
+      image,
+      sx,
+      sy,
+      sw,
+      sh,
+      x - width / 2,
+      -y - height / 2,
+      width,
+      height
+    );
+    ctx.restore();
   }
   return ctx;
 }
 
-export function drawCircle(ctx, cx, cy, r, color) {
-  ctx.fillStyle = color;
-  ctx.beginPath();
-  ctx.arc(cx, cy, r, 0, 2 * Math.PI);
-  ctx.fill();
-  return ctx;
+////////// headless //////////
+
+// a stand-in for a canvas element, whose context keeps track of the transform
+// and records the draw calls instead of drawing anything
+function createHeadlessCanvas(width, height) {
+  const canvas = {
+    width,
+    height,
+    style: {},
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+    getContext: () => ctx,
+  };
+  const ctx = {
+    canvas,
+    drawCalls: [],
+    transform: [1, 0, 0, 1, 0, 0],
+    stack: [],
+    setTransform(a, b, c, d, e, f) {
+      this.transform = [a, b, c, d, e, f];
+    },
+    getTransform() {
+      return createMatrix(...this.transform);
+    },
+    transformBy(a, b, c, d, e, f) {
+      const [ta, tb, tc, td, te, tf] = this.transform;
+      this.transform = [
+        ta * a + tc * b,
+        tb * a + td * b,
+        ta * c + tc * d,
+        tb * c + td * d,
+        ta * e + tc * f + te,
+        tb * e + td * f + tf,
+      ];
+    },
+    scale(x, y) {
+      this.transformBy(x, 0, 0, y, 0, 0);
+    },
+    translate(x, y) {
+      this.transformBy(1, 0, 0, 1, x, y);
+    },
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      this.transformBy(cos, sin, -sin, cos, 0, 0);
+    },
+    save() {
+      this.stack.push(this.transform);
+    },
+    restore() {
+      this.transform = this.stack.pop() ?? this.transform;
+    },
+    // without fonts, every character is half as wide as the text is high
+    measureText(text) {
+      const size = parseFloat(this.font.split(" ")[1]);
+      return { width: (Array.from(text).length * size) / 2 };
+    },
+    // clearing the canvas starts a new frame
+    clearRect() {
+      this.drawCalls = [];
+    },
+  };
+  for (const name of [
+    "beginPath",
+    "moveTo",
+    "lineTo",
+    "closePath",
+    "fill",
+    "stroke",
+    "fillRect",
+    "rect",
+    "clip",
+    "ellipse",
+    "arc",
+    "fillText",
+    "drawImage",
+  ]) {
+    ctx[name] = () => {};
+  }
+  return canvas;
 }
 
-export function drawText(ctx, text, cx, cy, size, weight, font, tilt, color) {
-  // inverting the y axis, otherwise text appears flipped
-  ctx.fillStyle = color;
-  ctx.textAlign = "center";
-  ctx.font = `${weight} ${size}px ${font}`;
-  ctx.save();
-  ctx.scale(1, -1);
-  ctx.translate(cx, -cy);
-  ctx.rotate(tilt);
-  ctx.fillText(text, 0, -0);
-  ctx.restore();
-  return ctx;
+// the parts of a DOMMatrix that the engine uses
+function createMatrix(a, b, c, d, e, f) {
+  return {
+    a,
+    b,
+    c,
+    d,
+    e,
+    f,
+    invertSelf() {
+      const det = a * d - b * c;
+      return createMatrix(
+        d / det,
+        -b / det,
+        -c / det,
+        a / det,
+        (c * f - d * e) / det,
+        (b * e - a * f) / det
+      );
+    },
+  };
 }
 
-export function drawTexture(ctx, imgId, sx, sy, sw, sh, dx, dy, dw, dh, tilt) {
-  ctx.save();
-  // inverting the y-axis, otherwise image appears flipped
-  ctx.scale(1, -1);
-  ctx.translate(dx, -dy);
-  ctx.rotate(tilt);
-  ctx.drawImage(images[imgId], sx, sy, sw, sh, -dw / 2, -dh / 2, dw, dh);
-  ctx.restore();
-  return ctx;
+export function setHeadlessData(files) {
+  engine.dataFiles = files.toArray();
 }
 
-export function setCameraPos(ctx, new_pos_x, new_pos_y) {
-  ctx.translate(-new_pos_x, -new_pos_y);
-  return ctx;
+export function startHeadless(width, height, imageSizes) {
+  engine = createEngine(createHeadlessCanvas(width, height));
+  engine.isHeadless = true;
+  // the time in ms, which only passes when stepping
+  engine.headlessTime = 0;
+  engine.images = imageSizes
+    .toArray()
+    .map(([width, height]) => ({ width, height }));
+  // start with the same transform as at the beginning of a frame
+  getContext();
 }
 
-export function setCameraScale(ctx, new_scale) {
-  ctx.scale(new_scale, new_scale);
-  return ctx;
+export function headlessKeyEvent(code, isDown) {
+  engine.keyInput[code] = isDown ? 0b011 : 0b100;
 }
 
-export function setCameraAngle(ctx, new_angle) {
-  ctx.rotate(new_angle);
-  return ctx;
+export function headlessMouseEvent(button, isDown) {
+  engine.mouseInput[button] = isDown ? 0b011 : 0b100;
 }
 
-export function setBackground(ctx, color) {
-  ctx.canvas.style.backgroundColor = color;
-  // if in fullscreen mode
-  if (canvasWidth) {
-    document.body.style.backgroundColor = color;
-  }
-  return ctx;
+export function headlessMouseMove(x, y) {
+  engine.mousePosition = { x, y };
 }
 
-export function checkImgId(id) {
-  if (id >= 0 && images.length - 1 >= id) {
-    return new $Ok([images[id].width, images[id].height]);
-  } else {
-    return new $Error(null);
-  }
+export function headlessTouchStart(id, x, y) {
+  startTouch(engine, id, x, y, engine.headlessTime);
 }
 
-////////// input (general) //////////
+export function headlessTouchMove(id, x, y) {
+  moveTouch(engine, id, x, y);
+}
 
-function clearInput() {
-  for (const key in keyInput) {
-    keyInput[key] &= 0b001;
-  }
-  for (const key in mouseInput) {
-    mouseInput[key] &= 0b001;
+export function headlessTouchEnd(id) {
+  endTouch(engine, id);
+}
+
+export function stepHeadless(model, update) {
+  engine.deltaTime = engine.fixedStep ?? 1000 / 60;
+  engine.headlessTime += engine.deltaTime;
+  pollInput();
+  const updatedModel = update(model);
+  clearInput();
+  return updatedModel;
+}
+
+export function setHeadlessFixedTimestep(ticksPerSecond, maxSteps) {
+  engine.fixedStep = 1000 / ticksPerSecond;
+  engine.maxSteps = maxSteps;
+  engine.deltaTime = engine.fixedStep;
+  engine.accumulator = 0;
+}
+
+// lets the given time in ms pass, as between two animation frames
+export function advanceHeadless(model, update, elapsed) {
+  engine.lastTime = engine.headlessTime;
+  engine.headlessTime += elapsed;
+  if (engine.fixedStep) {
+    return runFixedSteps(engine, engine.headlessTime, model, update);
   }
+  engine.deltaTime = elapsed;
+  pollInput();
+  const updatedModel = update(model);
+  clearInput();
+  return updatedModel;
 }
 
-////////// simulate //////////
+export function viewHeadless(model, view) {
+  view(model);
+  flushDrawList();
+  return toList(getCanvas().getContext("2d").drawCalls);
+}
 
-export function screenToWorld(x, y) {
-  // inverse transform
-  const iT = document
-    .getElementById(canvasId)
-    .getContext("2d")
-    .getTransform()
-    .invertSelf();
-  x = x * canvasScale;
-  y = y * canvasScale;
-  return [iT.a * x + iT.c * y + iT.e, iT.b * x + iT.d * y + iT.f];
+////////// effect //////////
+
+export function newMailbox() {
+  return [];
 }
 
-export function worldToScreen(x, y) {
-  // direct transform
-  const dT = document.getElementById(canvasId).getContext("2d").getTransform();
-  return [
-    (dT.a * x + dT.c * y + dT.e) / canvasScale,
-    (dT.b * x + dT.d * y + dT.f) / canvasScale,
-  ];
+export function sendToMailbox(mailbox, msg) {
+  mailbox.push(msg);
+}
+
+export function drainMailbox(mailbox) {
+  return toList(mailbox.splice(0));
+}
+
+export function setDelay(delay, callback) {
+  setTimeout(() => callback(), delay);
+}
+
+// the error is a tuple of (kind, status, message):
+// 0 = network error
+// 1 = bad status
+// 2 = invalid JSON
+// the callback is outside of the chain that catches the network errors, so
+// that it is only called once even if it throws
+export function fetchJson(url, callback) {
+  fetch(url)
+    .then(async (response) => {
+      if (!response.ok) {
+        return new $Error([1, response.status, response.statusText]);
+      }
+      const text = await response.text();
+      try {
+        return new $Ok(JSON.parse(text));
+      } catch (error) {
+        return new $Error([2, response.status, error.message]);
+      }
+    })
+    .then(callback, (error) => callback(new $Error([0, 0, error.message])));
+}
+
+export function saveToStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    console.error(`Failed to save "${key}":`, error);
+  }
+}
+
+export function loadFromStorage(key) {
+  let value = null;
+  try {
+    value = localStorage.getItem(key);
+  } catch (error) {
+    console.error(`Failed to load "${key}":`, error);
+  }
+  if (value === null) {
+    return new $Error(null);
+  } else {
+    return new $Ok(value);
+  }
 }
 
 ////////// math //////////
@@ -482,21 +2547,21 @@ export function atan2(y, x) {
   return Math.atan2(y, x);
 }
 
-////////// ZzFX & ZzFXM //////////
+// seeded random number generator (mulberry32), so that replays are
+// deterministic; every engine has its own state
+export function setRandomSeed(seed) {
+  engine.randomState = seed >>> 0;
+}
 
-// zzfx() - the universal entry point -- returns a AudioBufferSourceNode
-const zzfx = (...t) => zzfxP(zzfxG(...t));
-
-// zzfxP() - the sound player -- returns a AudioBufferSourceNode
-const zzfxP = (...t) => {
-  let e = zzfxX.createBufferSource(),
-    f = zzfxX.createBuffer(t.length, t[0].length, zzfxR);
-  t.map((d, i) => f.getChannelData(i).set(d)),
-    (e.buffer = f),
-    e.connect(zzfxX.destination),
-    e.start();
-  return e;
-};
+export function random() {
+  engine.randomState = (engine.randomState + 0x6d2b79f5) >>> 0;
+  let t = engine.randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+}
+
+////////// ZzFX & ZzFXM //////////
 
 // zzfxG() - the sound generator -- returns an array of sample data
 const zzfxG = (
@@ -589,8 +2654,16 @@ const zzfxV = 0.3;
 // zzfxR - global sample rate
 const zzfxR = 44100;
 
-// zzfxX - the common audio context
-const zzfxX = new (window.AudioContext || webkitAudioContext)();
+// zzfxX - the common audio context, created when it is first needed
+// (not available when running headless in Node)
+let zzfxX;
+function getAudioContext() {
+  const AudioContext = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!zzfxX && AudioContext) {
+    zzfxX = new AudioContext();
+  }
+  return zzfxX;
+}
 
 //! ZzFXM (v2.0.3) | (C) Keith Clark | MIT | https://github.com/keithclark/ZzFXM
 const zzfxM = (n, f, t, e = 125) => {
@@ -661,26 +2734,26 @@ const zzfxM = (n, f, t, e = 125) => {
 // render functions run on engine init
 // play sounds run at runtime
 
-// store info about the type of each sound:
+// every engine stores info about the type of each sound in soundTypes:
 // 0 = ZzFXSound
 // 1 = ZzFXMSong
 // 2 = FileSound (wav, mp3)
-let soundTypes = [];
 
 // check that the sound exists and return its type
 export function checkSoundType(id) {
-  if (soundTypes[id] || soundTypes[id] === 0) {
-    return new $Ok(soundTypes[id]);
+  const soundType = engine.soundTypes[id];
+  if (soundType || soundType === 0) {
+    return new $Ok(soundType);
   } else {
     return new $Error(null);
   }
 }
 
-async function renderZzFXMSong(source, i) {
-  const songFile = await fetch(source);
-  const songText = await songFile.text();
-  const songData = JSON.parse(
-    songText
+// parse the JavaScript output of the ZzFX(M) websites
+async function fetchZzFXData(source) {
+  const text = await fetchText(source);
+  return JSON.parse(
+    text
       .replace(/\[,/g, "[null,")
       .replace(/,,\]/g, ",null]")
       .replace(/,\s*(?=[,\]])/g, ",null")
@@ -688,69 +2761,405 @@ async function renderZzFXMSong(source, i) {
       .replace(/-\./g, "-0."),
     (_key, value) => (value === null ? undefined : value)
   );
-  const songBuffer = zzfxM(...songData);
-  sounds[i] = songBuffer;
-  soundTypes[i] = 1;
 }
 
-async function renderZzFXSound(source, i) {
-  const soundFile = await fetch(source);
-  const soundText = await soundFile.text();
-  const soundData = JSON.parse(
-    soundText
-      .replace(/\[,/g, "[null,")
-      .replace(/,,\]/g, ",null]")
-      .replace(/,\s*(?=[,\]])/g, ",null")
-      .replace(/([\[,]-?)(?=\.)/g, "$10")
-      .replace(/-\./g, "-0."),
-    (_key, value) => (value === null ? undefined : value)
+// turn the sample data from ZzFX(M) into a buffer, one array per channel
+function createSoundBuffer(channels) {
+  const buffer = getAudioContext().createBuffer(
+    channels.length,
+    channels[0].length,
+    zzfxR
   );
-  const soundBuffer = zzfxG(...soundData);
-  sounds[i] = soundBuffer;
-  soundTypes[i] = 0;
+  channels.forEach((data, i) => buffer.getChannelData(i).set(data));
+  return buffer;
+}
+
+async function renderZzFXMSong(instance, source, i) {
+  const songData = await fetchZzFXData(source);
+  instance.sounds[i] = createSoundBuffer(zzfxM(...songData));
+  instance.soundTypes[i] = 1;
+}
+
+async function renderZzFXSound(instance, source, i) {
+  const soundData = await fetchZzFXData(source);
+  instance.sounds[i] = createSoundBuffer([zzfxG(...soundData)]);
+  instance.soundTypes[i] = 0;
+}
+
+async function renderFileSound(instance, source, i) {
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(response.statusText);
+  }
+  const audioData = await response.arrayBuffer();
+  instance.sounds[i] = await getAudioContext().decodeAudioData(audioData);
+  instance.soundTypes[i] = 2;
 }
 
-// Play a song by id from the sounds
-export async function playZzFXMSong(id) {
-  if (!sounds[id]) {
-    throw new Error(`Song "${id}" not found in the library.`);
+// buses: 0 = master, 1 = music, 2 = sfx
+// every engine has its own buses, with music and sfx connected to its master,
+// and the masters of all engines to the speakers
+function getBusNode(instance, bus) {
+  if (!instance.busNodes) {
+    instance.busNodes = instance.busVolumes.map(() => zzfxX.createGain());
+    instance.busNodes[0].connect(zzfxX.destination);
+    instance.busNodes[1].connect(instance.busNodes[0]);
+    instance.busNodes[2].connect(instance.busNodes[0]);
+    instance.busNodes.forEach((_node, i) => updateBusGain(instance, i));
   }
-  stopSound(); // Stop any currently playing song
-  const buffer = sounds[id];
-  const node = zzfxP(...buffer);
-  node.loop = false;
-  await zzfxX.resume();
-  sounds._currentNode = node; // Store the current playing node
+  return instance.busNodes[bus];
 }
 
-// Stop the currently playing song
-export async function stopSound() {
-  const currentNode = sounds._currentNode;
-  if (currentNode) {
-    await zzfxX.suspend();
-    currentNode.stop();
-    currentNode.disconnect();
-    sounds._currentNode = null;
+function updateBusGain(instance, bus) {
+  if (instance.busNodes) {
+    instance.busNodes[bus].gain.value = instance.busMuted[bus]
+      ? 0
+      : instance.busVolumes[bus];
   }
 }
 
-export function playZzFXSound(id) {
-  zzfxP(sounds[id]);
+export function setBusVolume(bus, volume) {
+  engine.busVolumes[bus] = Math.max(volume, 0);
+  updateBusGain(engine, bus);
 }
 
-async function renderFileSound(source, i) {
-  const response = await fetch(source);
-  const audioData = await response.arrayBuffer();
-  sounds[i] = await zzfxX.decodeAudioData(audioData);
-  soundTypes[i] = 2;
+export function getBusVolume(bus) {
+  return engine.busVolumes[bus];
+}
+
+export function setBusMuted(bus, muted) {
+  engine.busMuted[bus] = muted;
+  updateBusGain(engine, bus);
+}
+
+export function isBusMuted(bus) {
+  return engine.busMuted[bus];
+}
+
+// browsers only let audio start after a user gesture, so resume the context
+// on the first one, and keep it suspended while the page is hidden; the
+// context is shared by all the engines on the page
+let isAudioInitialised = false;
+let isAudioUnlocked = false;
+
+function initAudio() {
+  if (!getAudioContext() || isAudioInitialised) {
+    return;
+  }
+  isAudioInitialised = true;
+  const unlock = () => {
+    isAudioUnlocked = true;
+    if (!document.hidden) {
+      zzfxX.resume();
+    }
+    ["keydown", "pointerdown", "touchstart"].forEach((type) =>
+      window.removeEventListener(type, unlock)
+    );
+  };
+  ["keydown", "pointerdown", "touchstart"].forEach((type) =>
+    window.addEventListener(type, unlock)
+  );
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      zzfxX.suspend();
+    } else if (isAudioUnlocked) {
+      zzfxX.resume();
+    }
+  });
 }
 
-export async function playFileSound(id) {
-  stopSound();
-  await zzfxX.resume();
+// every playback is a channel: source -> gain -> panner -> bus
+// a buffer source cannot be restarted, so pausing stops it and remembers
+// the position, and resuming starts a new source from there
+const playingChannels = new Set();
+
+export function playSound(id, volume, pitch, pan, loop, bus) {
+  const channel = {
+    // the engine that played it, whose sounds stop when it is stopped
+    engine,
+    buffer: engine.sounds[id],
+    rate: pitch,
+    loop,
+    source: null,
+    gain: null,
+    offset: 0,
+    startTime: 0,
+    state: "stopped",
+    // the timer that stops the channel at the end of a fade out
+    fadeTimer: 0,
+  };
+  if (!getAudioContext() || !channel.buffer) {
+    return channel;
+  }
+  channel.gain = zzfxX.createGain();
+  channel.gain.gain.value = volume;
+  const panner = zzfxX.createStereoPanner();
+  panner.pan.value = Math.min(Math.max(pan, -1), 1);
+  channel.gain.connect(panner);
+  panner.connect(getBusNode(engine, bus));
+  startChannel(channel);
+  return channel;
+}
+
+function startChannel(channel) {
   const source = zzfxX.createBufferSource();
-  source.buffer = sounds[id];
-  source.connect(zzfxX.destination);
-  source.start(0);
-  sounds._currentNode = source;
+  source.buffer = channel.buffer;
+  source.playbackRate.value = channel.rate;
+  source.loop = channel.loop;
+  source.connect(channel.gain);
+  source.onended = () => {
+    // ignore the sources stopped by pausing
+    if (channel.source === source) {
+      endChannel(channel);
+    }
+  };
+  source.start(0, channel.offset);
+  channel.source = source;
+  channel.startTime = zzfxX.currentTime;
+  channel.state = "playing";
+  playingChannels.add(channel);
+}
+
+function endChannel(channel) {
+  channel.source = null;
+  channel.state = "stopped";
+  channel.gain.disconnect();
+  playingChannels.delete(channel);
+}
+
+export function stopChannel(channel) {
+  if (channel.state === "stopped") {
+    return;
+  }
+  clearTimeout(channel.fadeTimer);
+  const source = channel.source;
+  endChannel(channel);
+  if (source) {
+    source.stop();
+  }
+}
+
+export function stopAllChannels() {
+  stopChannelsOf(engine);
+}
+
+function stopChannelsOf(instance) {
+  playingChannels.forEach((channel) => {
+    if (channel.engine === instance) {
+      stopChannel(channel);
+    }
+  });
+}
+
+export function pauseChannel(channel) {
+  if (channel.state !== "playing") {
+    return;
+  }
+  cancelFade(channel);
+  const duration = channel.buffer.duration;
+  const played = (zzfxX.currentTime - channel.startTime) * channel.rate;
+  channel.offset = channel.loop
+    ? (channel.offset + played) % duration
+    : Math.min(channel.offset + played, duration);
+  const source = channel.source;
+  channel.source = null;
+  channel.state = "paused";
+  source.stop();
+}
+
+export function resumeChannel(channel) {
+  if (channel.state === "paused") {
+    startChannel(channel);
+  }
+}
+
+export function fadeChannel(channel, volume, duration) {
+  if (channel.state === "stopped") {
+    return;
+  }
+  cancelFade(channel);
+  const now = zzfxX.currentTime;
+  channel.gain.gain.linearRampToValueAtTime(
+    Math.max(volume, 0),
+    now + duration
+  );
+}
+
+export function fadeOutChannel(channel, duration) {
+  if (channel.state === "stopped") {
+    return;
+  }
+  fadeChannel(channel, 0, duration);
+  channel.fadeTimer = setTimeout(() => stopChannel(channel), duration * 1000);
+}
+
+// keeps the volume where a fade has got to, and forgets that a fade out
+// would stop the channel, so that pausing or fading again overrides it
+function cancelFade(channel) {
+  clearTimeout(channel.fadeTimer);
+  const gain = channel.gain.gain;
+  const now = zzfxX.currentTime;
+  // read before cancelling, which would drop the fade that it is part of
+  const volume = gain.value;
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(volume, now);
+}
+
+export function isChannelPlaying(channel) {
+  return channel.state === "playing";
+}
+
+////////// asset //////////
+
+// images, sounds and data files are stored by their index, which is the
+// position in the lists passed to the engine for the ones loaded at startup,
+// and the next free index for named assets; unloading leaves a hole
+function reserveSlot(array) {
+  array.push(undefined);
+  return array.length - 1;
+}
+
+// the loaders store the file in the engine that loads it, and resolve to
+// whether it could be loaded
+function loadImage(instance, src, imgId) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      instance.images[imgId] = image;
+      resolve(true);
+    };
+    image.onerror = () => resolve(false);
+    image.src = src;
+  });
+}
+
+async function loadSound(instance, src, id) {
+  try {
+    if (src.endsWith(".js")) {
+      try {
+        await renderZzFXMSong(instance, src, id);
+      } catch (_error) {
+        await renderZzFXSound(instance, src, id);
+      }
+    } else {
+      await renderFileSound(instance, src, id);
+    }
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+async function loadData(instance, src, dataId) {
+  try {
+    instance.dataFiles[dataId] = await fetchText(src);
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+async function fetchText(src) {
+  const response = await fetch(src);
+  if (!response.ok) {
+    throw new Error(response.statusText);
+  }
+  return response.text();
+}
+
+// kinds of named assets:
+// 0 = image
+// 1 = sound
+// 2 = data file
+// 3 = JSON
+// 4 = font
+// every engine keeps its named assets by name in namedAssets, where every
+// one is { kind, id } for the kinds stored by index, { kind, value } for JSON
+// and { kind, font } for fonts
+async function loadNamedAsset(instance, kind, name, src) {
+  let asset;
+  try {
+    if (kind === 0) {
+      const id = reserveSlot(instance.images);
+      asset = { kind, id, isLoaded: await loadImage(instance, src, id) };
+    } else if (kind === 1) {
+      const id = reserveSlot(instance.sounds);
+      asset = { kind, id, isLoaded: await loadSound(instance, src, id) };
+    } else if (kind === 2) {
+      const id = reserveSlot(instance.dataFiles);
+      asset = { kind, id, isLoaded: await loadData(instance, src, id) };
+    } else if (kind === 3) {
+      const value = JSON.parse(await fetchText(src));
+      asset = { kind, value, isLoaded: true };
+    } else {
+      const font = new FontFace(name, `url(${src})`);
+      await font.load();
+      asset = { kind, font, isLoaded: true };
+    }
+  } catch (_error) {
+    return false;
+  }
+  if (!asset.isLoaded) {
+    return false;
+  }
+  unloadNamedAsset(instance, name);
+  if (asset.font) {
+    document.fonts.add(asset.font);
+  }
+  instance.namedAssets.set(name, asset);
+  return true;
+}
+
+function unloadNamedAsset(instance, name) {
+  const asset = instance.namedAssets.get(name);
+  if (!asset) {
+    return;
+  }
+  if (asset.kind === 0) {
+    instance.images[asset.id] = undefined;
+  } else if (asset.kind === 1) {
+    instance.sounds[asset.id] = undefined;
+    instance.soundTypes[asset.id] = undefined;
+  } else if (asset.kind === 2) {
+    instance.dataFiles[asset.id] = undefined;
+  } else if (asset.kind === 4) {
+    document.fonts.delete(asset.font);
+  }
+  instance.namedAssets.delete(name);
+}
+
+export function loadAssets(assets, callback) {
+  const instance = engine;
+  const loads = assets
+    .toArray()
+    .map(([kind, name, src]) =>
+      loadNamedAsset(instance, kind, name, src).then((isLoaded) =>
+        isLoaded ? null : src
+      )
+    );
+  Promise.all(loads).then((results) => {
+    const failed = results.filter((src) => src !== null);
+    if (failed.length > 0) {
+      callback(new $Error(toList(failed)));
+    } else {
+      callback(new $Ok(undefined));
+    }
+  });
+}
+
+export function unloadAssets(names) {
+  names.toArray().forEach((name) => unloadNamedAsset(engine, name));
+}
+
+export function isAssetLoaded(name) {
+  return engine.namedAssets.has(name);
+}
+
+// returns the index for the kinds stored by index, and the value for JSON
+export function getNamedAsset(name, kind) {
+  const asset = engine.namedAssets.get(name);
+  if (!asset || asset.kind !== kind) {
+    return new $Error(undefined);
+  }
+  return new $Ok(kind === 3 ? asset.value : asset.id);
 }
@@ -0,0 +1,10 @@
+import { toList } from "../../prelude.mjs";
+
+// performs an effect and returns the messages it dispatched straight away
+export function collect(perform) {
+  const msgs = [];
+  perform((msg) => {
+    msgs.push(msg);
+  });
+  return toList(msgs);
+}
@@ -0,0 +1,278 @@
+import { toList } from "../../prelude.mjs";
+
+// Node has no page, so these stand in for the window, the document, the
+// canvases, animation frames (which only run when runFrames is called), and
+// the files loaded with fetch and Image
+let listeners = [];
+let frames = new Map();
+let nextFrameId = 1;
+let time = 0;
+let updateCount = 0;
+let canvases = {};
+let files = new Map();
+// the loads of the files in a "slow/" directory, which wait for releaseFiles
+let slowLoads = [];
+let messages = [];
+// the events to dispatch after the coming frames, one for every frame
+let afterFrames = [];
+
+export function withBrowser(canvasIds, _files, run) {
+  listeners = [];
+  frames = new Map();
+  time = 0;
+  updateCount = 0;
+  canvases = {};
+  files = new Map(_files.toArray());
+  slowLoads = [];
+  messages = [];
+  afterFrames = [];
+  const { fetch, Image } = globalThis;
+  for (const id of canvasIds.toArray()) {
+    canvases[id] = createCanvas();
+  }
+  Object.assign(globalThis, {
+    window: {
+      innerWidth: 800,
+      innerHeight: 600,
+      addEventListener: (type, listener) => listeners.push([type, listener]),
+      removeEventListener: (type, listener) => {
+        listeners = listeners.filter(([t, l]) => t !== type || l !== listener);
+      },
+    },
+    document: {
+      activeElement: null,
+      hidden: false,
+      body: { style: {} },
+      documentElement: { style: {} },
+      getElementById: (id) => canvases[id],
+      addEventListener: () => {},
+    },
+    requestAnimationFrame: (callback) => {
+      frames.set(nextFrameId, callback);
+      return nextFrameId++;
+    },
+    cancelAnimationFrame: (id) => frames.delete(id),
+    fetch: (src) =>
+      load(src).then((isFound) =>
+        isFound
+          ? {
+              ok: true,
+              status: 200,
+              statusText: "OK",
+              text: () => Promise.resolve(files.get(src)),
+              arrayBuffer: () =>
+                Promise.resolve(
+                  new TextEncoder().encode(files.get(src)).buffer
+                ),
+            }
+          : { ok: false, status: 404, statusText: "Not Found" }
+      ),
+    Image: FakeImage,
+  });
+  const restore = () => {
+    for (const name of [
+      "window",
+      "document",
+      "requestAnimationFrame",
+      "cancelAnimationFrame",
+    ]) {
+      delete globalThis[name];
+    }
+    Object.assign(globalThis, { fetch, Image });
+  };
+  return Promise.resolve()
+    .then(() => run())
+    .finally(restore);
+}
+
+// waits for the engines to finish loading, and then runs the given number of
+// animation frames, 20 ms apart
+export function runFrames(count, then) {
+  return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+    for (let i = 0; i < count; i++) {
+      time += 20;
+      const due = [...frames.values()];
+      frames.clear();
+      due.forEach((callback) => callback(time));
+      afterFrames.shift()?.();
+    }
+    return then();
+  });
+}
+
+// resolves to whether the file exists
+function load(src) {
+  const isFound = files.has(src);
+  if (src.startsWith("slow/")) {
+    return new Promise((resolve) => slowLoads.push(() => resolve(isFound)));
+  }
+  return Promise.resolve(isFound);
+}
+
+class FakeImage {
+  width = 16;
+  height = 16;
+
+  set src(src) {
+    load(src).then((isFound) => (isFound ? this.onload() : this.onerror()));
+  }
+}
+
+export function releaseFiles() {
+  slowLoads.splice(0).forEach((resolve) => resolve());
+}
+
+export function wait(milliseconds, then) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds)).then(() =>
+    then()
+  );
+}
+
+export function pendingFrames() {
+  return frames.size;
+}
+
+// key events go to the engine whose canvas has the focus
+export function pressKey(canvasId, code) {
+  document.activeElement = canvases[canvasId];
+  dispatch("keydown", { code });
+}
+
+// starts a touch, which ends after the next frame, and is then followed by
+// mouse events, a frame apart, unless the end of the touch is cancelled, like
+// in a browser that waits to make sure that the tap is not a double tap
+export function tap(canvasId, x, y) {
+  const target = canvases[canvasId];
+  const touch = { identifier: 0, clientX: x, clientY: y };
+  const event = { target, changedTouches: [touch], cancelable: true };
+  const mouseEvent = { target, button: 0, clientX: x, clientY: y };
+  dispatch("touchstart", event);
+  afterFrames.push(() => {
+    let isCancelled = false;
+    dispatch("touchend", {
+      ...event,
+      preventDefault: () => (isCancelled = true),
+    });
+    if (!isCancelled) {
+      afterFrames.push(
+        () => dispatch("mousedown", mouseEvent),
+        () => dispatch("mouseup", mouseEvent)
+      );
+    }
+  });
+}
+
+export function countUpdates(update) {
+  return (model) => {
+    updateCount++;
+    return update(model);
+  };
+}
+
+export function updates() {
+  return updateCount;
+}
+
+export function record(msg) {
+  messages.push(msg);
+}
+
+// the messages passed to record, such as the ones dispatched by effects
+export function recorded() {
+  return toList(messages);
+}
+
+// the rects drawn in the last frame, as their centres and colors
+export function drawnRects(canvasId) {
+  return toList(
+    canvases[canvasId]
+      .getContext("2d")
+      .drawCalls.filter(([name]) => name === "rect")
+      .map(([_, numbers, strings]) => {
+        const [x, y] = numbers.toArray();
+        return [x, y, strings.toArray()[0]];
+      })
+  );
+}
+
+// the text drawn in the last frame
+export function drawnText(canvasId) {
+  return toList(
+    canvases[canvasId]
+      .getContext("2d")
+      .drawCalls.filter(([name]) => name === "text")
+      .map(([_, _numbers, strings]) => strings.toArray()[0])
+  );
+}
+
+function dispatch(type, event) {
+  listeners
+    .filter(([t]) => t === type)
+    .forEach(([_, listener]) => listener(event));
+}
+
+// a context that records the draw calls like the headless one, and ignores
+// every other call
+function createCanvas() {
+  const canvas = {
+    width: 400,
+    height: 300,
+    style: {},
+    hasAttribute: () => false,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 400, height: 300 }),
+  };
+  let transform = [1, 0, 0, 1, 0, 0];
+  const multiply = (a, b, c, d, e, f) => {
+    const [ta, tb, tc, td, te, tf] = transform;
+    transform = [
+      ta * a + tc * b,
+      tb * a + td * b,
+      ta * c + tc * d,
+      tb * c + td * d,
+      ta * e + tc * f + te,
+      tb * e + td * f + tf,
+    ];
+  };
+  const state = {
+    canvas,
+    drawCalls: [],
+    globalAlpha: 1,
+    setTransform: (a, b, c, d, e, f) => {
+      transform = [a, b, c, d, e, f];
+    },
+    getTransform: () => createMatrix(...transform),
+    scale: (x, y) => multiply(x, 0, 0, y, 0, 0),
+    translate: (x, y) => multiply(1, 0, 0, 1, x, y),
+    clearRect: () => {
+      state.drawCalls = [];
+    },
+    measureText: (text) => ({ width: text.length * 8 }),
+  };
+  const ctx = new Proxy(state, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+  });
+  canvas.getContext = () => ctx;
+  return canvas;
+}
+
+function createMatrix(a, b, c, d, e, f) {
+  return {
+    a,
+    b,
+    c,
+    d,
+    e,
+    f,
+    invertSelf() {
+      const det = a * d - b * c;
+      return createMatrix(
+        d / det,
+        -b / det,
+        -c / det,
+        a / det,
+        (c * f - d * e) / det,
+        (b * e - a * f) / det
+      );
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// Node has no gamepads, so the tests stand in for navigator.getGamepads with
+// connected gamepads that have the given buttons pressed and raw axes
+export function stubGamepads(pads) {
+  const gamepads = pads.toArray().map(([pressed, axes]) => {
+    const down = pressed.toArray();
+    return {
+      connected: true,
+      buttons: Array.from({ length: 17 }, (_, i) => ({
+        pressed: down.includes(i),
+        value: down.includes(i) ? 1 : 0,
+      })),
+      axes: axes.toArray(),
+    };
+  });
+  Object.defineProperty(globalThis, "navigator", {
+    value: { getGamepads: () => gamepads },
+    configurable: true,
+    writable: true,
+  });
+}
@@ -0,0 +1,120 @@
+// Node has no Web Audio, so the tests stand in for the audio context with one
+// whose time only passes when setAudioTime is called. Sound files contain
+// their duration in seconds, and the context is created by the engine the
+// first time it is needed, so the stand-in is only installed once.
+let context;
+
+export function stubAudioContext() {
+  globalThis.AudioContext ??= class {
+    constructor() {
+      this.currentTime = 0;
+      this.destination = createNode();
+      context = this;
+    }
+
+    createGain() {
+      return Object.assign(createNode(), { gain: createParam(1) });
+    }
+
+    createStereoPanner() {
+      return Object.assign(createNode(), { pan: createParam(0) });
+    }
+
+    createBufferSource() {
+      return Object.assign(createNode(), {
+        playbackRate: createParam(1),
+        loop: false,
+        offset: 0,
+        isPlaying: false,
+        start(_when, offset) {
+          this.offset = offset;
+          this.isPlaying = true;
+        },
+        stop() {
+          this.isPlaying = false;
+          this.onended?.();
+        },
+      });
+    }
+
+    decodeAudioData(data) {
+      const duration = Number(new TextDecoder().decode(data));
+      return Promise.resolve({ duration });
+    }
+  };
+}
+
+export function setAudioTime(time) {
+  context.currentTime = time;
+}
+
+// the volume of a channel as it reaches the speakers, through its buses
+export function channelVolume(channel) {
+  let volume = 1;
+  for (let node = channel.gain; node; node = node.output) {
+    volume *= node.gain?.value ?? 1;
+  }
+  return volume;
+}
+
+export function channelPan(channel) {
+  return channel.gain.output.pan.value;
+}
+
+export function channelRate(channel) {
+  return channel.source.playbackRate.value;
+}
+
+export function channelIsLooping(channel) {
+  return channel.source.loop;
+}
+
+// where in the sound the current source started playing, in seconds
+export function channelOffset(channel) {
+  return channel.source.offset;
+}
+
+function createNode() {
+  return {
+    output: null,
+    connect(node) {
+      this.output = node;
+    },
+    disconnect() {
+      this.output = null;
+    },
+  };
+}
+
+// a parameter whose value follows the last linear ramp scheduled on it
+function createParam(value) {
+  let events = [{ value, time: 0 }];
+  return {
+    get value() {
+      const time = context.currentTime;
+      const next = events.findIndex((event) => event.time > time);
+      if (next === -1) {
+        return events[events.length - 1].value;
+      }
+      if (next === 0) {
+        return events[0].value;
+      }
+      const from = events[next - 1];
+      const to = events[next];
+      const t = (time - from.time) / (to.time - from.time);
+      return from.value + (to.value - from.value) * t;
+    },
+    set value(value) {
+      events = [{ value, time: 0 }];
+    },
+    setValueAtTime(value, time) {
+      events.push({ value, time });
+    },
+    linearRampToValueAtTime(value, time) {
+      events.push({ value, time });
+    },
+    cancelScheduledValues(time) {
+      events = events.filter((event) => event.time < time);
+    },
+  };
+}